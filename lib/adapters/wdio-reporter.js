@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const getProcessStartTime = require('../helpers/get-process-start-time.js');
+
+/**
+ * Options the WebdriverIO runner passes to every reporter, all others are our own options
+ */
+const RUNNER_OPTIONS = ['logFile', 'outputDir', 'stdout', 'writeStream', 'setLogFile', 'screenshotPath'];
+
+/**
+ * Matches the WebDriver endpoint of a screenshot of the whole page, element screenshots are left alone
+ */
+const SCREENSHOT_ENDPOINT_PATTERN = /^\/session\/[^/]+\/screenshot$/;
+
+/**
+ * Get the key of the run shared by all workers forked from the same launcher. The launcher's process id alone isn't
+ * unique, in a container it is 1 for every run, so the time the launcher has been started is part of the key.
+ *
+ * @returns {string}
+ */
+function getLauncherRunKey() {
+	const startTime = getProcessStartTime(process.ppid);
+
+	return crypto.createHash('sha1').update(`${process.ppid}:${startTime}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the reporter class for WebdriverIO v5 and newer. The hooks of the class based reporter API are translated
+ * into the events of the v4 API and passed on to an ErrorshotReporter, so both APIs share the same naming pipeline.
+ *
+ * WebdriverIO v5 and newer no longer take screenshots on errors by themselves, so every screenshot taken after the
+ * current test has failed, e.g. in the afterTest hook, is written to the screenshotPath and treated as errorshot.
+ *
+ * @param {function} WDIOReporter Base class exported by '@wdio/reporter'
+ * @param {function} ErrorshotReporter
+ * @returns {function}
+ */
+function createWdioReporterAdapter(WDIOReporter, ErrorshotReporter) {
+	return class ErrorshotWdioReporter extends WDIOReporter {
+		/**
+		 * @param {object} options Reporter options from wdio.conf.js along with the options of the runner
+		 */
+		constructor(options = {}) {
+			super(options);
+
+			const reporterOptions = {};
+
+			Object.keys(options)
+				.filter(name => !RUNNER_OPTIONS.includes(name))
+				.forEach(name => { reporterOptions[name] = options[name]; });
+
+			// Every worker has its own reporter, the run they share is told apart by the launcher all of them are forked from
+			this.errorshot = new ErrorshotReporter({}, {
+				screenshotPath: options.screenshotPath || options.outputDir || process.cwd(),
+				outputDir: options.outputDir,
+				runKey: options.runId ? String(options.runId) : getLauncherRunKey(),
+				isWdioReporter: true,
+				reporterOptions: { errorshotReporter: reporterOptions }
+			});
+
+			// Title, parent and state of the test each worker is currently running, keyed by the runner cid
+			this.currentTests = {};
+		}
+
+		/**
+		 * The runner waits for our renames before the worker exits
+		 *
+		 * @returns {boolean}
+		 */
+		get isSynchronised() {
+			return this.errorshot.isSynchronised;
+		}
+
+		onRunnerStart(runner) {
+			this.errorshot.emit('runner:start', {
+				cid: runner.cid,
+				capabilities: runner.capabilities,
+				specs: runner.specs
+			});
+		}
+
+		onSuiteStart(suite) {
+			this.errorshot.emit('suite:start', { cid: suite.cid, title: suite.title, file: suite.file });
+		}
+
+		onSuiteEnd(suite) {
+			this.errorshot.emit('suite:end', { cid: suite.cid, title: suite.title });
+		}
+
+		onTestStart(test) {
+			const suites = this.errorshot.suites[test.cid] || [];
+
+			this.currentTests[test.cid] = {
+				title: test.title,
+				parent: test.parent || suites[suites.length - 1] || '',
+				hasFailed: false
+			};
+
+			this.errorshot.emit('test:start', { cid: test.cid, title: test.title });
+		}
+
+		onTestPass(test) {
+			this.errorshot.emit('test:pass', { cid: test.cid, title: test.title });
+		}
+
+		onTestFail(test) {
+			const error = test.error || (test.errors && test.errors[0]);
+
+			if (this.currentTests[test.cid]) {
+				this.currentTests[test.cid].hasFailed = true;
+			}
+
+			this.errorshot.emit('test:fail', { cid: test.cid, title: test.title, err: error });
+		}
+
+		onAfterCommand(command) {
+			this.errorshot.emit('runner:command', {
+				cid: command.cid,
+				method: command.method,
+				uri: command.endpoint,
+				data: command.body
+			});
+
+			const isScreenshot = command.command === 'takeScreenshot'
+				|| (command.method === 'GET' && SCREENSHOT_ENDPOINT_PATTERN.test(command.endpoint || ''));
+			const test = this.currentTests[command.cid];
+
+			if (isScreenshot && test && test.hasFailed) {
+				this.handleScreenshot(command, test);
+			}
+		}
+
+		onRunnerEnd(runner) {
+			this.errorshot.emit('runner:end', { cid: runner.cid });
+			this.errorshot.emit('end');
+		}
+
+		/**
+		 * Write the screenshot of a command into the screenshotPath under the name WebdriverIO v4 would have
+		 * given it, and let the ErrorshotReporter rename it
+		 *
+		 * @param {object} command
+		 * @param {{title: string, parent: string}} test
+		 * @returns {boolean}
+		 */
+		handleScreenshot(command, test) {
+			const base64 = command.result && typeof command.result === 'object' ? command.result.value : command.result;
+
+			if (typeof base64 !== 'string' || !base64) {
+				return false;
+			}
+
+			const time = new Date();
+			const capabilities = this.errorshot.capabilities[command.cid] || {};
+			const filename = `ERROR_${capabilities.browserName || 'browser'}_${time.toJSON().replace(/:/g, '-')}.png`;
+
+			try {
+				fs.mkdirSync(this.errorshot.config.screenshotPath, { recursive: true });
+				fs.writeFileSync(path.join(this.errorshot.config.screenshotPath, filename), Buffer.from(base64, 'base64'));
+			} catch (err) {
+				this.errorshot.getLogger(command.cid).error(`Failed to write the screenshot '${filename}':`, err);
+				return false;
+			}
+
+			this.errorshot.emit('runner:screenshot', {
+				cid: command.cid,
+				filename: filename,
+				time: time,
+				parent: test.parent,
+				title: test.title
+			});
+
+			return true;
+		}
+	};
+}
+
+exports = module.exports = createWdioReporterAdapter;
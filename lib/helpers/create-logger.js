@@ -0,0 +1,80 @@
+const fs = require('fs');
+const log = require('./log.js');
+
+/**
+ * Available log levels, ordered from the most to the least verbose
+ */
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Turn the arguments of a log call into a single message, errors are printed with their stack if asked for
+ *
+ * @param {Array} args
+ * @param {boolean} withStack
+ * @returns {string}
+ */
+function formatMessage(args, withStack) {
+	return args.map(arg => {
+		if (arg instanceof Error) {
+			return withStack && arg.stack ? arg.stack : String(arg);
+		}
+
+		return typeof arg === 'string' ? arg : JSON.stringify(arg);
+	}).join(' ');
+}
+
+/**
+ * Create a logger that drops every message below the given level. Messages are printed to the console and,
+ * if a file is given, appended to it. Every line is prefixed with the reporter name and the worker cid.
+ * Reports the user asked for are printed with 'print' at info level, whatever the level is.
+ *
+ * @param {{level: string, file: string|null, name: string}} options
+ * @param {string} cid Runner cid every line is prefixed with, if any
+ * @returns {{level: string, isLevelEnabled: function, forWorker: function, print: function, trace: function, debug: function, info: function, warn: function, error: function}}
+ */
+function createLogger(options, cid) {
+	const threshold = LEVELS.indexOf(options.level);
+	const prefix = `[${options.name}]` + (cid ? ` [${cid}]` : '');
+
+	const logger = {
+		level: options.level,
+		isLevelEnabled: level => LEVELS.indexOf(level) >= threshold,
+		forWorker: workerCid => createLogger(options, workerCid)
+	};
+
+	const write = (level, args) => {
+		const lines = formatMessage(args, logger.isLevelEnabled('debug')).split('\n')
+			.map(line => `${prefix} ${level.toUpperCase()} ${line}`)
+			.join('\n');
+
+		log(lines);
+
+		if (options.file) {
+			const timestamp = new Date().toISOString();
+
+			try {
+				fs.appendFileSync(options.file, lines.split('\n').map(line => `${timestamp} ${line}\n`).join(''));
+			} catch (err) {
+				// A broken log file must never break the test run, the console still got the message
+			}
+		}
+	};
+
+	LEVELS.slice(0, -1).forEach(level => {
+		logger[level] = function() {
+			if (logger.isLevelEnabled(level)) {
+				write(level, Array.from(arguments));
+			}
+		};
+	});
+
+	logger.print = function() {
+		write('info', Array.from(arguments));
+	};
+
+	return logger;
+}
+
+createLogger.LEVELS = LEVELS;
+
+exports = module.exports = createLogger;
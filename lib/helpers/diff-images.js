@@ -0,0 +1,59 @@
+/**
+ * Color of the pixels that differ in the diff image
+ */
+const MISMATCH_COLOR = [255, 0, 0, 255];
+
+/**
+ * How much of the actual image shines through the white background of the diff image where pixels match
+ */
+const MATCH_OPACITY = 0.1;
+
+/**
+ * Compare two images pixel by pixel and render a diff image, which shows matching pixels as faded grayscale
+ * version of the actual image and differing pixels in red. Pixels outside of the smaller image count as different.
+ *
+ * @param {{width: number, height: number, data: Buffer}} actual RGBA pixels
+ * @param {{width: number, height: number, data: Buffer}} expected RGBA pixels
+ * @param {{threshold: number}} options Largest difference of a color channel that still counts as equal, from 0 to 1
+ * @returns {{mismatch: number, image: {width: number, height: number, data: Buffer}}} Mismatch in percent of all pixels
+ */
+function diffImages(actual, expected, options = {}) {
+	const threshold = options.threshold === undefined ? 0.1 : options.threshold;
+	const width = Math.max(actual.width, expected.width);
+	const height = Math.max(actual.height, expected.height);
+	const data = Buffer.alloc(width * height * 4);
+	let mismatched = 0;
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const target = (y * width + x) * 4;
+			const isInBoth = x < actual.width && y < actual.height && x < expected.width && y < expected.height;
+			const actualIndex = (y * actual.width + x) * 4;
+			const expectedIndex = (y * expected.width + x) * 4;
+			let delta = 0;
+
+			for (let channel = 0; isInBoth && channel < 4; channel++) {
+				delta = Math.max(delta, Math.abs(actual.data[actualIndex + channel] - expected.data[expectedIndex + channel]) / 255);
+			}
+
+			if (!isInBoth || delta > threshold) {
+				mismatched++;
+				MISMATCH_COLOR.forEach((value, channel) => { data[target + channel] = value; });
+				continue;
+			}
+
+			const luminance = 0.299 * actual.data[actualIndex] + 0.587 * actual.data[actualIndex + 1] + 0.114 * actual.data[actualIndex + 2];
+			const gray = Math.round(255 + (luminance - 255) * MATCH_OPACITY * actual.data[actualIndex + 3] / 255);
+
+			data[target] = data[target + 1] = data[target + 2] = gray;
+			data[target + 3] = 255;
+		}
+	}
+
+	return {
+		mismatch: width * height ? mismatched / (width * height) * 100 : 0,
+		image: { width: width, height: height, data: data }
+	};
+}
+
+exports = module.exports = diffImages;
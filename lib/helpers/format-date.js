@@ -0,0 +1,29 @@
+/**
+ * Format a date with a simple token pattern, e.g. 'YYYYMMDD-HHmmss'
+ *
+ * Supported tokens: YYYY, YY, MM, DD, HH, mm, ss, SSS
+ *
+ * @param {Date} date
+ * @param {string} pattern
+ * @param {boolean} useLocalTime Use the local time zone instead of UTC
+ * @returns {string}
+ */
+function formatDate(date, pattern, useLocalTime = false) {
+	const get = unit => useLocalTime ? date[`get${unit}`]() : date[`getUTC${unit}`]();
+	const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+	const tokens = {
+		YYYY: () => pad(get('FullYear'), 4),
+		YY: () => pad(get('FullYear') % 100),
+		MM: () => pad(get('Month') + 1),
+		DD: () => pad(get('Date')),
+		HH: () => pad(get('Hours')),
+		mm: () => pad(get('Minutes')),
+		ss: () => pad(get('Seconds')),
+		SSS: () => pad(get('Milliseconds'), 3)
+	};
+
+	return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS/g, token => tokens[token]());
+}
+
+exports = module.exports = formatDate;
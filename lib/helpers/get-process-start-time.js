@@ -0,0 +1,28 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+
+/**
+ * Get when a process has been started, as precise as the platform tells. Along with the process id it tells
+ * processes apart even if the id is reused, e.g. by the first process of every container. Linux is asked through
+ * /proc, other platforms through 'ps'. Null if the start time is unknown, e.g. on Windows.
+ *
+ * @param {number} pid
+ * @returns {string|null}
+ */
+function getProcessStartTime(pid) {
+	try {
+		if (process.platform === 'linux') {
+			const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+			const bootId = fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+
+			// The start time in clock ticks since boot is the 22nd field, the name before it may contain spaces
+			return `${bootId}-${stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19]}`;
+		}
+
+		return childProcess.execFileSync('ps', ['-o', 'lstart=', '-p', String(pid)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+	} catch (err) {
+		return null;
+	}
+}
+
+exports = module.exports = getProcessStartTime;
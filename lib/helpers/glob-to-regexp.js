@@ -0,0 +1,44 @@
+/**
+ * Convert a glob pattern into a regular expression matching whole paths with '/' as separator.
+ * Supports '**' for any number of directories, '*' and '?' within a segment and '{a,b}' alternatives.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+	let source = '';
+	let isInAlternatives = false;
+
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+
+		if (char === '*' && glob[i + 1] === '*') {
+			// '**/' also matches no directory at all
+			if (glob[i + 2] === '/') {
+				source += '(?:.*/)?';
+				i += 2;
+			} else {
+				source += '.*';
+				i++;
+			}
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else if (char === '{') {
+			source += '(?:';
+			isInAlternatives = true;
+		} else if (char === '}' && isInAlternatives) {
+			source += ')';
+			isInAlternatives = false;
+		} else if (char === ',' && isInAlternatives) {
+			source += '|';
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+exports = module.exports = globToRegExp;
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recursively list all files in a directory with their stats, paths are relative to the directory
+ * and always use '/' as separator. Returns an empty list if the directory does not exist.
+ *
+ * @param {string} dirpath
+ * @returns {{path: string, stats: fs.Stats}[]}
+ */
+function listFiles(dirpath) {
+	const files = [];
+
+	const walk = (relativeDir) => {
+		let names;
+
+		try {
+			names = fs.readdirSync(path.join(dirpath, relativeDir));
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return;
+			}
+
+			throw err;
+		}
+
+		names.forEach(name => {
+			const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+			const stats = fs.statSync(path.join(dirpath, relativePath));
+
+			if (stats.isDirectory()) {
+				walk(relativePath);
+			} else if (stats.isFile()) {
+				files.push({ path: relativePath, stats: stats });
+			}
+		});
+	};
+
+	walk('');
+
+	return files;
+}
+
+exports = module.exports = listFiles;
@@ -0,0 +1,71 @@
+/* global Atomics, SharedArrayBuffer */
+const fs = require('fs');
+
+/**
+ * Block the process for the given number of milliseconds
+ *
+ * @param {number} ms
+ */
+function sleep(ms) {
+	Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Take an exclusive lock by creating the lock file, waiting while another process holds it. The lock is taken
+ * synchronously, as the event handlers using it have to finish before the worker exits. A lock file older than
+ * 'staleAfter' has been left behind by a process that died while holding it and is taken over.
+ *
+ * @param {string} lockPath
+ * @param {{staleAfter: number, retryDelay: number}} [options] Both in ms, defaults to 10000 and 10
+ * @returns {function} Releases the lock
+ * @throws {Error} When the lock file can't be created, e.g. because its directory is missing
+ */
+function lockFile(lockPath, options = {}) {
+	const staleAfter = options.staleAfter || 10000;
+	const retryDelay = options.retryDelay || 10;
+	let fd = null;
+
+	while (fd === null) {
+		try {
+			fd = fs.openSync(lockPath, 'wx');
+		} catch (err) {
+			if (err.code !== 'EEXIST') {
+				throw err;
+			}
+
+			let age;
+
+			try {
+				age = Date.now() - fs.statSync(lockPath).mtime.getTime();
+			} catch (statErr) {
+				// Released in the meantime, try again right away
+				continue;
+			}
+
+			if (age > staleAfter) {
+				try {
+					fs.unlinkSync(lockPath);
+				} catch (unlinkErr) {
+					// Another process took it over first
+				}
+			} else {
+				sleep(retryDelay);
+			}
+		}
+	}
+
+	return () => {
+		try {
+			// Once taken over as stale the lock file belongs to another process
+			if (fs.statSync(lockPath).ino === fs.fstatSync(fd).ino) {
+				fs.unlinkSync(lockPath);
+			}
+		} catch (err) {
+			// Already taken over as stale and released again
+		} finally {
+			fs.closeSync(fd);
+		}
+	};
+}
+
+exports = module.exports = lockFile;
@@ -1,12 +1,10 @@
 /* eslint-disable no-console */
 
 /**
- * Internal logging helper
- *
- * TODO: Implement logging verbosity, other fancy things
+ * Internal logging helper, the console output of the leveled logger from create-logger.js
  */
 function log() {
 	console.log(...arguments);
 }
 
-exports = module.exports = log;
\ No newline at end of file
+exports = module.exports = log;
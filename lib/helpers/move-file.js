@@ -0,0 +1,40 @@
+const fs = require('fs');
+
+/**
+ * Move a file, retrying with exponential backoff while it is locked (EBUSY, EPERM) and falling back to
+ * copy-then-unlink when it has to cross devices (EXDEV)
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {{retries: number, delay: number}} options Number of retries and the delay in ms before the first retry
+ * @param {function} cb Called with the last error or null
+ */
+function moveFile(from, to, options, cb) {
+	const attempt = (retry) => {
+		fs.rename(from, to, (err) => {
+			if (!err) {
+				return cb(null);
+			}
+
+			if ((err.code === 'EBUSY' || err.code === 'EPERM') && retry < options.retries) {
+				return setTimeout(() => attempt(retry + 1), options.delay * Math.pow(2, retry));
+			}
+
+			if (err.code === 'EXDEV') {
+				return fs.copyFile(from, to, (copyErr) => {
+					if (copyErr) {
+						return cb(copyErr);
+					}
+
+					fs.unlink(from, cb);
+				});
+			}
+
+			cb(err);
+		});
+	};
+
+	attempt(0);
+}
+
+exports = module.exports = moveFile;
@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const pngText = require('./png-text.js');
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Samples per pixel of each PNG color type: grayscale, truecolor, indexed, grayscale with alpha, truecolor with alpha
+ */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Predict a byte from its left, upper and upper left neighbours as defined by the Paeth filter
+ *
+ * @param {number} left
+ * @param {number} up
+ * @param {number} upLeft
+ * @returns {number}
+ */
+function paethPredictor(left, up, upLeft) {
+	const estimate = left + up - upLeft;
+	const distanceLeft = Math.abs(estimate - left);
+	const distanceUp = Math.abs(estimate - up);
+	const distanceUpLeft = Math.abs(estimate - upLeft);
+
+	if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+		return left;
+	}
+
+	return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Reverse the filter of every scanline
+ *
+ * @param {Buffer} data Inflated image data, each scanline starts with its filter type
+ * @param {number} height
+ * @param {number} stride Bytes per scanline without the filter type
+ * @param {number} bytesPerPixel Distance to the corresponding byte of the pixel on the left, at least 1
+ * @returns {Buffer}
+ * @throws {Error} When a scanline uses an unknown filter
+ */
+function unfilterScanlines(data, height, stride, bytesPerPixel) {
+	const pixels = Buffer.alloc(height * stride);
+
+	for (let y = 0; y < height; y++) {
+		const filter = data[y * (stride + 1)];
+		const source = y * (stride + 1) + 1;
+		const target = y * stride;
+
+		for (let x = 0; x < stride; x++) {
+			const left = x >= bytesPerPixel ? pixels[target + x - bytesPerPixel] : 0;
+			const up = y > 0 ? pixels[target - stride + x] : 0;
+			const upLeft = y > 0 && x >= bytesPerPixel ? pixels[target - stride + x - bytesPerPixel] : 0;
+			let predictor;
+
+			switch (filter) {
+			case 0:
+				predictor = 0;
+				break;
+			case 1:
+				predictor = left;
+				break;
+			case 2:
+				predictor = up;
+				break;
+			case 3:
+				predictor = (left + up) >> 1;
+				break;
+			case 4:
+				predictor = paethPredictor(left, up, upLeft);
+				break;
+			default:
+				throw new Error(`Unknown PNG filter type ${filter} in scanline ${y}.`);
+			}
+
+			pixels[target + x] = (data[source + x] + predictor) & 0xff;
+		}
+	}
+
+	return pixels;
+}
+
+/**
+ * Decode a PNG into 8 bit RGBA pixels. Supports all color types with 8 or 16 bits per sample and indexed colors
+ * with 1 to 8 bits per pixel, which covers the screenshots browsers take. Interlaced PNGs are not supported.
+ *
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Buffer}}
+ * @throws {Error} When the buffer is not a valid or not a supported PNG
+ */
+function decodePng(buffer) {
+	const chunks = pngText.parseChunks(buffer);
+	const header = chunks.find(chunk => chunk.type === 'IHDR');
+
+	if (!header) {
+		throw new Error('Not a PNG file, the IHDR chunk is missing.');
+	}
+
+	const width = header.data.readUInt32BE(0);
+	const height = header.data.readUInt32BE(4);
+	const bitDepth = header.data[8];
+	const colorType = header.data[9];
+	const channels = CHANNELS[colorType];
+	const isSupported = colorType === 3 ? [1, 2, 4, 8].includes(bitDepth) : channels && [8, 16].includes(bitDepth);
+
+	if (!isSupported) {
+		throw new Error(`Unsupported PNG with color type ${colorType} and bit depth ${bitDepth}.`);
+	}
+
+	if (header.data[12] !== 0) {
+		throw new Error('Interlaced PNGs are not supported.');
+	}
+
+	const bitsPerPixel = channels * bitDepth;
+	const stride = Math.ceil(width * bitsPerPixel / 8);
+	const data = zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+
+	if (data.length < height * (stride + 1)) {
+		throw new Error('Truncated PNG image data.');
+	}
+
+	const pixels = unfilterScanlines(data, height, stride, Math.max(1, bitsPerPixel >> 3));
+	const palette = colorType === 3 ? (chunks.find(chunk => chunk.type === 'PLTE') || { data: Buffer.alloc(0) }).data : null;
+	const transparency = colorType === 3 ? (chunks.find(chunk => chunk.type === 'tRNS') || { data: Buffer.alloc(0) }).data : null;
+	const rgba = Buffer.alloc(width * height * 4);
+
+	// The most significant byte of 16 bit samples is precise enough for comparing screenshots
+	const sample = (y, x, channel) => pixels[y * stride + (x * channels + channel) * (bitDepth >> 3)];
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const target = (y * width + x) * 4;
+
+			if (colorType === 3) {
+				const bitOffset = x * bitDepth;
+				const index = (pixels[y * stride + (bitOffset >> 3)] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+
+				rgba[target] = palette[index * 3] || 0;
+				rgba[target + 1] = palette[index * 3 + 1] || 0;
+				rgba[target + 2] = palette[index * 3 + 2] || 0;
+				rgba[target + 3] = index < transparency.length ? transparency[index] : 255;
+			} else if (channels <= 2) {
+				rgba[target] = rgba[target + 1] = rgba[target + 2] = sample(y, x, 0);
+				rgba[target + 3] = channels === 2 ? sample(y, x, 1) : 255;
+			} else {
+				rgba[target] = sample(y, x, 0);
+				rgba[target + 1] = sample(y, x, 1);
+				rgba[target + 2] = sample(y, x, 2);
+				rgba[target + 3] = channels === 4 ? sample(y, x, 3) : 255;
+			}
+		}
+	}
+
+	return { width: width, height: height, data: rgba };
+}
+
+/**
+ * Encode 8 bit RGBA pixels as PNG
+ *
+ * @param {{width: number, height: number, data: Buffer}} image
+ * @returns {Buffer}
+ */
+function encodePng(image) {
+	const header = Buffer.alloc(13);
+	const stride = image.width * 4;
+	const scanlines = Buffer.alloc(image.height * (stride + 1));
+
+	header.writeUInt32BE(image.width, 0);
+	header.writeUInt32BE(image.height, 4);
+	header[8] = 8;
+	header[9] = 6;
+
+	// Every scanline is stored unfiltered, deflate takes care of the size
+	for (let y = 0; y < image.height; y++) {
+		image.data.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+	}
+
+	return Buffer.concat([
+		PNG_SIGNATURE,
+		pngText.buildChunk('IHDR', header),
+		pngText.buildChunk('IDAT', zlib.deflateSync(scanlines)),
+		pngText.buildChunk('IEND', Buffer.alloc(0))
+	]);
+}
+
+exports = module.exports = {
+	decodePng: decodePng,
+	encodePng: encodePng
+};
@@ -0,0 +1,206 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const TEXT_CHUNK_TYPES = ['tEXt', 'iTXt', 'zTXt'];
+
+let crcTable = null;
+
+/**
+ * CRC32 as used by PNG chunks, the lookup table is created on first use
+ *
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+	if (!crcTable) {
+		crcTable = [];
+
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+
+			for (let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+
+			crcTable[n] = c >>> 0;
+		}
+	}
+
+	let crc = 0xffffffff;
+
+	for (let i = 0; i < buffer.length; i++) {
+		crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+	}
+
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Split a PNG into its chunks, each chunk keeps its raw bytes so untouched chunks can be written back as they are
+ *
+ * @param {Buffer} buffer
+ * @returns {{type: string, data: Buffer, raw: Buffer}[]}
+ * @throws {Error} When the buffer is not a valid PNG
+ */
+function parseChunks(buffer) {
+	if (buffer.length < PNG_SIGNATURE.length || !buffer.slice(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+		throw new Error('Not a PNG file, the signature does not match.');
+	}
+
+	const chunks = [];
+	let offset = PNG_SIGNATURE.length;
+
+	while (offset + 12 <= buffer.length) {
+		const length = buffer.readUInt32BE(offset);
+		const end = offset + 12 + length;
+
+		if (end > buffer.length) {
+			throw new Error(`Truncated PNG chunk at byte ${offset}.`);
+		}
+
+		chunks.push({
+			type: buffer.toString('latin1', offset + 4, offset + 8),
+			data: buffer.slice(offset + 8, offset + 8 + length),
+			raw: buffer.slice(offset, end)
+		});
+
+		offset = end;
+	}
+
+	return chunks;
+}
+
+/**
+ * Build the raw bytes of a chunk including length and CRC
+ *
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function buildChunk(type, data) {
+	const length = Buffer.alloc(4);
+	const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+	const crc = Buffer.alloc(4);
+
+	length.writeUInt32BE(data.length, 0);
+	crc.writeUInt32BE(crc32(typeAndData), 0);
+
+	return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Build a text chunk, tEXt if the text can be stored as Latin-1 and iTXt for everything else
+ *
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function buildTextChunk(keyword, text) {
+	const isLatin1 = !/[^\u0000-\u00ff]/.test(text);
+
+	if (isLatin1) {
+		return buildChunk('tEXt', Buffer.concat([
+			Buffer.from(keyword, 'latin1'),
+			Buffer.from([0]),
+			Buffer.from(text, 'latin1')
+		]));
+	}
+
+	// Keyword, no compression, no language tag and no translated keyword, followed by the UTF-8 text
+	return buildChunk('iTXt', Buffer.concat([
+		Buffer.from(keyword, 'latin1'),
+		Buffer.from([0, 0, 0, 0, 0]),
+		Buffer.from(text, 'utf8')
+	]));
+}
+
+/**
+ * Read the keyword and text of a text chunk
+ *
+ * @param {{type: string, data: Buffer}} chunk
+ * @returns {{keyword: string, text: string}}
+ */
+function parseTextChunk(chunk) {
+	const data = chunk.data;
+	const keywordEnd = data.indexOf(0);
+	const keyword = data.toString('latin1', 0, keywordEnd);
+
+	if (chunk.type === 'tEXt') {
+		return { keyword: keyword, text: data.toString('latin1', keywordEnd + 1) };
+	}
+
+	if (chunk.type === 'zTXt') {
+		return { keyword: keyword, text: zlib.inflateSync(data.slice(keywordEnd + 2)).toString('latin1') };
+	}
+
+	const isCompressed = data[keywordEnd + 1] === 1;
+	const languageEnd = data.indexOf(0, keywordEnd + 3);
+	const translatedKeywordEnd = data.indexOf(0, languageEnd + 1);
+	const text = data.slice(translatedKeywordEnd + 1);
+
+	return { keyword: keyword, text: (isCompressed ? zlib.inflateSync(text) : text).toString('utf8') };
+}
+
+/**
+ * Add text chunks to a PNG right before its IEND chunk, replacing text chunks with the same keywords.
+ * All other chunks, especially the image data, are copied byte by byte.
+ *
+ * @param {Buffer} buffer
+ * @param {object} texts Text by keyword, keywords must be 1-79 Latin-1 characters
+ * @returns {Buffer}
+ * @throws {Error} When the buffer is not a valid PNG or a keyword is invalid
+ */
+function writeTextChunks(buffer, texts) {
+	const keywords = Object.keys(texts);
+
+	keywords.forEach(keyword => {
+		if (!/^[ -~\u00a1-\u00ff]{1,79}$/.test(keyword)) {
+			throw new Error(`Invalid PNG text keyword '${keyword}', it must be 1-79 printable Latin-1 characters.`);
+		}
+	});
+
+	const chunks = parseChunks(buffer)
+		.filter(chunk => !TEXT_CHUNK_TYPES.includes(chunk.type) || !keywords.includes(parseTextChunk(chunk).keyword));
+	const iendIndex = chunks.findIndex(chunk => chunk.type === 'IEND');
+
+	if (iendIndex === -1) {
+		throw new Error('Not a PNG file, the IEND chunk is missing.');
+	}
+
+	const textChunks = keywords
+		.filter(keyword => texts[keyword] !== undefined && texts[keyword] !== null)
+		.map(keyword => buildTextChunk(keyword, String(texts[keyword])));
+
+	return Buffer.concat([PNG_SIGNATURE]
+		.concat(chunks.slice(0, iendIndex).map(chunk => chunk.raw))
+		.concat(textChunks)
+		.concat(chunks.slice(iendIndex).map(chunk => chunk.raw)));
+}
+
+/**
+ * Read all tEXt, iTXt and zTXt chunks of a PNG
+ *
+ * @param {Buffer} buffer
+ * @returns {object} Text by keyword
+ * @throws {Error} When the buffer is not a valid PNG
+ */
+function readTextChunks(buffer) {
+	const texts = {};
+
+	parseChunks(buffer)
+		.filter(chunk => TEXT_CHUNK_TYPES.includes(chunk.type))
+		.forEach(chunk => {
+			const textChunk = parseTextChunk(chunk);
+			texts[textChunk.keyword] = textChunk.text;
+		});
+
+	return texts;
+}
+
+exports = module.exports = {
+	crc32: crc32,
+	parseChunks: parseChunks,
+	buildChunk: buildChunk,
+	readTextChunks: readTextChunks,
+	writeTextChunks: writeTextChunks
+};
@@ -0,0 +1,162 @@
+/**
+ * Escape text for the use in HTML content and attributes
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+	return String(text === undefined || text === null ? '' : text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Group items by the key returned from the callback, keeping the order of first appearance
+ *
+ * @param {object[]} items
+ * @param {function} getKey
+ * @returns {Map<string, object[]>}
+ */
+function groupBy(items, getKey) {
+	const groups = new Map();
+
+	items.forEach(item => {
+		const key = getKey(item);
+
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+
+		groups.get(key).push(item);
+	});
+
+	return groups;
+}
+
+/**
+ * Render a single screenshot with its test title and error
+ *
+ * @param {object} entry Manifest entry
+ * @returns {string}
+ */
+function renderScreenshot(entry) {
+	const href = (entry.duplicateOf || entry.path).split('/').map(encodeURIComponent).join('/');
+	const error = entry.error || {};
+	const searchText = [entry.spec, (entry.suites || []).join(' '), entry.title, error.message].join(' ').toLowerCase();
+
+	return `
+				<figure class="errorshot" data-search="${escapeHtml(searchText)}">
+					<a href="${href}" target="_blank"><img src="${href}" alt="${escapeHtml(entry.title)}" loading="lazy"></a>
+					<figcaption>
+						<strong>${escapeHtml(entry.title)}</strong>
+						${error.message ? `<p class="message">${escapeHtml(error.message)}</p>` : ''}
+						${error.stack ? `<details><summary>Stack</summary><pre>${escapeHtml(error.stack)}</pre></details>` : ''}
+					</figcaption>
+				</figure>`;
+}
+
+/**
+ * Render a self-contained HTML gallery of renamed screenshots, grouped by spec, suite and browser.
+ * All links are relative to the screenshotPath the gallery is written into.
+ *
+ * @param {object[]} entries Manifest entries
+ * @returns {string}
+ */
+function renderGallery(entries) {
+	const getBrowser = entry => entry.capabilities && entry.capabilities.browserName ? entry.capabilities.browserName : 'unknown_browser';
+	const browsers = Array.from(new Set(entries.map(getBrowser))).sort();
+	let sections = '';
+
+	groupBy(entries, entry => entry.spec || 'unknown spec').forEach((specEntries, spec) => {
+		sections += `
+	<section class="spec">
+		<h2>${escapeHtml(spec)}</h2>`;
+
+		groupBy(specEntries, entry => (entry.suites || []).join(' › ')).forEach((suiteEntries, suite) => {
+			sections += `
+		<section class="suite">
+			<h3>${escapeHtml(suite)}</h3>`;
+
+			groupBy(suiteEntries, getBrowser).forEach((browserEntries, browser) => {
+				sections += `
+			<section class="browser" data-browser="${escapeHtml(browser)}">
+				<h4>${escapeHtml(browser)}</h4>${browserEntries.map(renderScreenshot).join('')}
+			</section>`;
+			});
+
+			sections += `
+		</section>`;
+		});
+
+		sections += `
+	</section>`;
+	});
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<meta name="generator" content="wdio-errorshot-reporter">
+	<title>Errorshots (${entries.length})</title>
+	<style>
+		body { font-family: sans-serif; margin: 2em; color: #222; }
+		.filters { position: sticky; top: 0; padding: 1em 0; background: #fff; }
+		.filters input { width: 30em; }
+		.errorshot { display: inline-block; vertical-align: top; width: 320px; margin: 0 1em 1em 0; }
+		.errorshot img { max-width: 100%; border: 1px solid #ccc; }
+		.message { color: #b00; white-space: pre-wrap; }
+		pre { overflow: auto; font-size: 0.8em; }
+		.hidden { display: none; }
+	</style>
+</head>
+<body>
+	<h1>Errorshots (${entries.length})</h1>
+	<div class="filters">
+		<input type="search" id="filter-text" placeholder="Filter by spec, suite, title or error">
+		<select id="filter-browser">
+			<option value="">All browsers</option>${browsers.map(browser => `
+			<option value="${escapeHtml(browser)}">${escapeHtml(browser)}</option>`).join('')}
+		</select>
+	</div>${sections}
+	<script>
+		(function() {
+			var text = document.getElementById('filter-text');
+			var browser = document.getElementById('filter-browser');
+
+			function toggle(elements, isHidden) {
+				Array.prototype.forEach.call(elements, function(element) {
+					element.classList.toggle('hidden', isHidden(element));
+				});
+			}
+
+			function filter() {
+				var query = text.value.toLowerCase();
+
+				toggle(document.querySelectorAll('.errorshot'), function(element) {
+					return element.getAttribute('data-search').indexOf(query) === -1;
+				});
+				toggle(document.querySelectorAll('.browser'), function(element) {
+					return (browser.value && element.getAttribute('data-browser') !== browser.value)
+						|| !element.querySelector('.errorshot:not(.hidden)');
+				});
+				toggle(document.querySelectorAll('.suite'), function(element) {
+					return !element.querySelector('.browser:not(.hidden)');
+				});
+				toggle(document.querySelectorAll('.spec'), function(element) {
+					return !element.querySelector('.suite:not(.hidden)');
+				});
+			}
+
+			text.addEventListener('input', filter);
+			browser.addEventListener('change', filter);
+		})();
+	</script>
+</body>
+</html>
+`;
+}
+
+exports = module.exports = renderGallery;
@@ -0,0 +1,39 @@
+/**
+ * Render the metadata of a screenshot as the contents of a sidecar file
+ *
+ * @param {object} metadata Manifest entry extended by the last commands of the worker
+ * @param {string} format Either 'json' or 'txt'
+ * @returns {string}
+ */
+function renderSidecar(metadata, format) {
+	if (format === 'json') {
+		return JSON.stringify(metadata, null, '\t');
+	}
+
+	const error = metadata.error || {};
+	const visualDiff = metadata.visualDiff;
+	const commands = (metadata.commands || []).map(command => {
+		const data = command.data && Object.keys(command.data).length ? ' ' + JSON.stringify(command.data) : '';
+		return `  ${command.method} ${command.path}${data}`;
+	});
+
+	return [
+		`Title: ${metadata.title}`,
+		`Suites: ${(metadata.suites || []).join(' > ')}`,
+		`Spec: ${metadata.spec}`,
+		`Screenshot: ${metadata.path}`,
+		`Original name: ${metadata.originalName}`,
+		`Taken at: ${metadata.timestamp}`,
+		`Worker: ${metadata.cid}`,
+		`Capabilities: ${JSON.stringify(metadata.capabilities || {})}`,
+		`Error: ${error.message || ''}`,
+		`Visual diff: ${visualDiff ? `${visualDiff.mismatch}% differ from ${visualDiff.baseline}, see ${visualDiff.diff}` : 'none'}`,
+		'Stack:',
+		error.stack || '',
+		'Last commands:',
+		commands.length ? commands.join('\n') : '  none',
+		''
+	].join('\n');
+}
+
+exports = module.exports = renderSidecar;
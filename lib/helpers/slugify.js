@@ -1,17 +1,43 @@
+const transliterate = require('./transliterate.js');
+
 /**
- * Slugify helper from https://gist.github.com/mathewbyrne/1280286
+ * Slugify helper based on https://gist.github.com/mathewbyrne/1280286
+ *
+ * Whitespace and dashes become the delimiter, every other character that is not a letter, digit or underscore
+ * is removed. Non-ASCII characters are transliterated first unless unicode letters should be kept.
  *
  * @param {string} text
- * @param {string} delimiter
+ * @param {string|object} options Delimiter, or an object of the following options
+ * @param {string} options.delimiter Put between words, defaults to '-'
+ * @param {string} options.case Either 'lower' (default), 'upper' or 'preserve'
+ * @param {boolean} options.transliterate Transliterate non-ASCII characters, defaults to true
+ * @param {boolean} options.unicode Keep letters and digits of every script as they are, defaults to false
  * @returns {string}
  */
-function slugify(text, delimiter = '-') {
-	return text.toString().toLowerCase()
-		.replace(/\s+/g, delimiter)	// Replace spaces with -
-		.replace(/[^\w-]+/g, '')	// Remove all non-word chars
-		.replace(/--+/g, delimiter)	// Replace multiple - with single -
-		.replace(/^-+/, '')			// Trim - from start of text
-		.replace(/-+$/, '');		// Trim - from end of text
+function slugify(text, options = {}) {
+	if (typeof options === 'string') {
+		options = { delimiter: options };
+	}
+
+	const delimiter = options.delimiter !== undefined ? options.delimiter : '-';
+	const nonWordChars = options.unicode ? new RegExp('[^\\p{L}\\p{M}\\p{N}_ ]+', 'gu') : /[^\w ]+/g;
+	let slug = text.toString();
+
+	if (!options.unicode && options.transliterate !== false) {
+		slug = transliterate(slug);
+	}
+
+	if (options.case === 'upper') {
+		slug = slug.toUpperCase();
+	} else if (options.case !== 'preserve') {
+		slug = slug.toLowerCase();
+	}
+
+	return slug
+		.replace(/[\s-]+/g, ' ')	// Treat whitespace and dashes as word boundaries
+		.replace(nonWordChars, '')	// Remove all non-word chars
+		.trim()						// Trim boundaries from start and end of text
+		.replace(/ +/g, delimiter);	// Join words with the delimiter
 }
 
-exports = module.exports = slugify;
\ No newline at end of file
+exports = module.exports = slugify;
@@ -0,0 +1,109 @@
+/**
+ * Latin letters that don't decompose into a base letter and a diacritic
+ */
+const LATIN = {
+	'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ß': 'ss', 'ẞ': 'SS',
+	'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L',
+	'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ı': 'i'
+};
+
+const CYRILLIC = {
+	'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z', 'и': 'i',
+	'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+	'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+	'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g'
+};
+
+/**
+ * Hepburn romanization of hiragana, katakana is mapped onto hiragana first
+ */
+const KANA = {
+	'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+	'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko', 'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+	'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so', 'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+	'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to', 'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+	'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+	'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho', 'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+	'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+	'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+	'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+	'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+	'わ': 'wa', 'ゐ': 'wi', 'ゑ': 'we', 'を': 'wo', 'ん': 'n', 'ゔ': 'vu',
+	'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o'
+};
+
+const KANA_SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+
+/**
+ * Romanize hiragana and katakana, including small ya/yu/yo combinations and the small tsu doubling
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function romanizeKana(text) {
+	let result = '';
+	let doubleNext = false;
+
+	Array.from(text).forEach(char => {
+		const code = char.charCodeAt(0);
+
+		// Katakana shares the order of hiragana, 0x60 code points later
+		const hiragana = code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : char;
+
+		if (hiragana === 'っ') {
+			doubleNext = true;
+			return;
+		}
+
+		if (KANA_SMALL_Y.hasOwnProperty(hiragana) && result.endsWith('i')) {
+			const stem = result.slice(0, -1);
+			result = /(sh|ch|j)$/.test(stem) ? stem + KANA_SMALL_Y[hiragana] : stem + 'y' + KANA_SMALL_Y[hiragana];
+			return;
+		}
+
+		let romaji = KANA.hasOwnProperty(hiragana) ? KANA[hiragana] : char;
+
+		// The long vowel mark is dropped
+		if (char === 'ー') {
+			romaji = '';
+		}
+
+		if (doubleNext && /^[a-z]/.test(romaji)) {
+			romaji = (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji;
+		}
+
+		doubleNext = false;
+		result += romaji;
+	});
+
+	return result;
+}
+
+/**
+ * Transliterate accented Latin, Cyrillic and Japanese kana characters into ASCII.
+ * Characters without a transliteration, e.g. kanji, are kept as they are.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function transliterate(text) {
+	const latin = Array.from(romanizeKana(String(text))).map(char => {
+		if (LATIN.hasOwnProperty(char)) {
+			return LATIN[char];
+		}
+
+		const lower = char.toLowerCase();
+
+		if (CYRILLIC.hasOwnProperty(lower)) {
+			const romaji = CYRILLIC[lower];
+			return char === lower ? romaji : romaji.charAt(0).toUpperCase() + romaji.slice(1);
+		}
+
+		return char;
+	}).join('');
+
+	// Split accented letters into base letter and diacritic, then drop the diacritics
+	return latin.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+exports = module.exports = transliterate;
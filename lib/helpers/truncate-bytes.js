@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * Truncate a text to a maximum number of UTF-8 bytes. A truncated text ends with a short hash of the full text,
+ * so two long texts sharing the same beginning stay distinguishable.
+ *
+ * @param {string} text
+ * @param {number} maxBytes
+ * @param {string} delimiter Put between the truncated text and the hash
+ * @returns {string}
+ */
+function truncateBytes(text, maxBytes, delimiter = '-') {
+	if (Buffer.byteLength(text) <= maxBytes) {
+		return text;
+	}
+
+	const suffix = delimiter + crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+	let budget = Math.max(maxBytes - Buffer.byteLength(suffix), 0);
+	let truncated = '';
+
+	// Cut at whole characters only, a multi-byte character is never split
+	for (const char of Array.from(text)) {
+		budget -= Buffer.byteLength(char);
+
+		if (budget < 0) {
+			break;
+		}
+
+		truncated += char;
+	}
+
+	// Avoid a doubled delimiter in front of the hash
+	while (delimiter && truncated.endsWith(delimiter)) {
+		truncated = truncated.slice(0, truncated.length - delimiter.length);
+	}
+
+	return truncated + suffix;
+}
+
+exports = module.exports = truncateBytes;
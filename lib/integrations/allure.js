@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * MIME types of the screenshot formats Allure can display inline
+ */
+const MIME_TYPES = {
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg'
+};
+
+/**
+ * Name WebdriverIO's Allure reporter gives the screenshots it attaches itself
+ */
+const ALLURE_SCREENSHOT_NAME = 'Screenshot';
+
+/**
+ * Reduce a name to its lowercase letters and digits, so names are compared independent of how a reporter
+ * formats them
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+	return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Get the values of all labels of a result with the given names
+ *
+ * @param {object} result
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function getLabelValues(result, names) {
+	return (result.labels || [])
+		.filter(label => names.includes(label.name))
+		.map(label => label.value);
+}
+
+/**
+ * Check if an errorshot belongs to a failed test result, by its title, the innermost suite and the worker
+ * if the result carries a 'thread' label
+ *
+ * @param {{cid: string, suites: string[], title: string}} errorshot
+ * @param {object} result
+ * @returns {boolean}
+ */
+function isMatchingResult(errorshot, result) {
+	const suite = normalizeName(errorshot.suites[errorshot.suites.length - 1]);
+	const title = normalizeName(errorshot.title);
+	const threads = getLabelValues(result, ['thread']);
+
+	if (normalizeName(result.name) !== title) {
+		return false;
+	}
+
+	if (errorshot.cid && threads.length && !threads.includes(errorshot.cid)) {
+		return false;
+	}
+
+	// The full name is the suite followed by the title, with a prefix like the spec file in some versions
+	return !suite || normalizeName(result.fullName).endsWith(suite + title)
+		|| getLabelValues(result, ['suite', 'parentSuite', 'subSuite']).some(name => normalizeName(name).endsWith(suite));
+}
+
+/**
+ * Remove the screenshots Allure has attached itself from a result and all of its steps
+ *
+ * @param {object} item Result or step
+ */
+function removeScreenshotAttachments(item) {
+	item.attachments = (item.attachments || [])
+		.filter(attachment => !(attachment.name === ALLURE_SCREENSHOT_NAME && /^image\//.test(attachment.type)));
+
+	(item.steps || []).forEach(removeScreenshotAttachments);
+}
+
+/**
+ * Copy the renamed errorshots into an Allure results directory and add them as attachments to the matching
+ * '*-result.json' of every failed or broken test. The attachment is named after the renamed file and the
+ * attachment file is named after a hash of the result and the screenshot, so running it again changes nothing.
+ *
+ * @param {string} dirpath Allure results directory
+ * @param {{cid: string, suites: string[], title: string, filepath: string}[]} errorshots
+ * @param {{replaceScreenshots: boolean}} options Remove the screenshots Allure attached itself from matched results
+ * @returns {string[]} Paths of the results that have been updated
+ */
+function attachToAllureResults(dirpath, errorshots, options = {}) {
+	let filenames;
+
+	try {
+		filenames = fs.readdirSync(dirpath);
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return [];
+		}
+
+		throw err;
+	}
+
+	return filenames
+		.filter(filename => filename.endsWith('-result.json'))
+		.map(filename => path.join(dirpath, filename))
+		.filter(filepath => {
+			const json = fs.readFileSync(filepath, 'utf8');
+			const result = JSON.parse(json);
+
+			if (result.status !== 'failed' && result.status !== 'broken') {
+				return false;
+			}
+
+			const matches = errorshots.filter(errorshot => isMatchingResult(errorshot, result));
+
+			if (!matches.length) {
+				return false;
+			}
+
+			if (options.replaceScreenshots) {
+				removeScreenshotAttachments(result);
+			}
+
+			result.attachments = result.attachments || [];
+
+			matches.forEach(errorshot => {
+				const extension = path.extname(errorshot.filepath).toLowerCase();
+				const hash = crypto.createHash('sha1').update(`${result.uuid}\n${errorshot.filepath}`).digest('hex');
+				const source = `${hash}-attachment${extension}`;
+
+				if (!result.attachments.some(attachment => attachment.source === source)) {
+					fs.copyFileSync(errorshot.filepath, path.join(dirpath, source));
+					result.attachments.push({
+						name: path.basename(errorshot.filepath),
+						source: source,
+						type: MIME_TYPES[extension] || 'application/octet-stream'
+					});
+				}
+			});
+
+			const updated = JSON.stringify(result);
+
+			if (updated === JSON.stringify(JSON.parse(json))) {
+				return false;
+			}
+
+			fs.writeFileSync(filepath, updated);
+
+			return true;
+		});
+}
+
+exports = module.exports = attachToAllureResults;
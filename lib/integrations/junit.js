@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const listFiles = require('../helpers/list-files.js');
+
+/**
+ * Matches the opening tag of a testsuite or a whole testcase element, in document order
+ */
+const ELEMENT_PATTERN = /<testsuite\b([^>]*)>|<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+/**
+ * Read the attributes of an XML tag into an object
+ *
+ * @param {string} attributes
+ * @returns {object}
+ */
+function parseAttributes(attributes) {
+	const result = {};
+	const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let match;
+
+	while ((match = pattern.exec(attributes)) !== null) {
+		result[match[1]] = unescapeXml(match[2] !== undefined ? match[2] : match[3]);
+	}
+
+	return result;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+	return text
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Reduce a name to its lowercase letters and digits. JUnit reporters replace spaces and punctuation in
+ * suite and test names in different ways, so names are only compared in this form.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+	return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Check if an errorshot belongs to a testcase, by its title and the innermost suite
+ *
+ * @param {{suites: string[], title: string}} errorshot
+ * @param {string} suiteName Name of the enclosing testsuite
+ * @param {object} testcase Attributes of the testcase
+ * @returns {boolean}
+ */
+function isMatchingTestcase(errorshot, suiteName, testcase) {
+	const suite = normalizeName(errorshot.suites[errorshot.suites.length - 1]);
+
+	if (normalizeName(testcase.name) !== normalizeName(errorshot.title)) {
+		return false;
+	}
+
+	return !suite || [suiteName, testcase.classname].some(name => normalizeName(name).endsWith(suite));
+}
+
+/**
+ * Add attachment lines to the system-out of a testcase body, creating the system-out if there is none yet
+ *
+ * @param {string} body
+ * @param {string[]} filepaths
+ * @returns {string}
+ */
+function addAttachments(body, filepaths) {
+	const lines = filepaths
+		.map(filepath => `[[ATTACHMENT|${filepath}]]`)
+		.filter(line => !body.includes(line) && !body.includes(escapeXml(line)));
+
+	if (!lines.length) {
+		return body;
+	}
+
+	body = body.replace(/<system-out\s*\/>/, '<system-out></system-out>');
+
+	const systemOut = /<system-out>([\s\S]*?)<\/system-out>/.exec(body);
+
+	if (!systemOut) {
+		const indent = /^\s*/.exec(body)[0];
+		const trailing = /\s*$/.exec(body)[0];
+
+		return `${body.slice(0, body.length - trailing.length)}${indent}<system-out>${escapeXml(lines.join('\n'))}</system-out>${trailing}`;
+	}
+
+	// Insert inside an existing CDATA section, escaped otherwise
+	const cdataEnd = /\]\]>\s*$/.exec(systemOut[1]);
+	const isCdata = cdataEnd !== null && systemOut[1].trim().startsWith('<![CDATA[');
+	const insertAt = systemOut.index + '<system-out>'.length + (isCdata ? cdataEnd.index : systemOut[1].length);
+	const text = isCdata ? lines.join('\n') : escapeXml(lines.join('\n'));
+
+	return body.slice(0, insertAt) + '\n' + text + '\n' + body.slice(insertAt);
+}
+
+/**
+ * Add the renamed errorshots as '[[ATTACHMENT|path]]' lines to the system-out of every failing testcase in the JUnit
+ * XML files of a directory. Testcases are matched by title and suite, files named after a runner cid like
+ * 'WDIO.xunit.chrome.0-0.xml' only receive the errorshots of that runner. Attachments that are already
+ * present are not added twice.
+ *
+ * @param {string} dirpath Directory with the JUnit XML files, searched recursively
+ * @param {{cid: string, suites: string[], title: string, filepath: string}[]} errorshots
+ * @returns {string[]} Paths of the files that have been updated
+ */
+function attachToJunitReports(dirpath, errorshots) {
+	return listFiles(dirpath)
+		.filter(file => file.path.toLowerCase().endsWith('.xml'))
+		.map(file => path.join(dirpath, file.path))
+		.filter(filepath => {
+			const basename = path.basename(filepath);
+			const cids = errorshots.map(errorshot => errorshot.cid).filter(cid => cid && basename.includes(`.${cid}.`));
+			const candidates = cids.length ? errorshots.filter(errorshot => cids.includes(errorshot.cid)) : errorshots;
+			const xml = fs.readFileSync(filepath, 'utf8');
+			let suiteName = '';
+
+			const updated = xml.replace(ELEMENT_PATTERN, (element, suiteAttributes, testcaseAttributes, body) => {
+				if (suiteAttributes !== undefined) {
+					suiteName = parseAttributes(suiteAttributes).name || '';
+					return element;
+				}
+
+				// Passing testcases are self-closing or have no failure or error
+				if (body === undefined || !/<(failure|error)\b/.test(body)) {
+					return element;
+				}
+
+				const testcase = parseAttributes(testcaseAttributes);
+				const filepaths = candidates
+					.filter(errorshot => isMatchingTestcase(errorshot, suiteName, testcase))
+					.map(errorshot => errorshot.filepath);
+
+				if (!filepaths.length) {
+					return element;
+				}
+
+				return `<testcase${testcaseAttributes}>${addAttachments(body, filepaths)}</testcase>`;
+			});
+
+			if (updated === xml) {
+				return false;
+			}
+
+			fs.writeFileSync(filepath, updated);
+
+			return true;
+		});
+}
+
+exports = module.exports = attachToJunitReports;
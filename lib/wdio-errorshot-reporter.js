@@ -1,8 +1,34 @@
+const crypto = require('crypto');
 const events = require('events');
 const fs = require('fs');
 const path = require('path');
 const slugify = require('./helpers/slugify.js');
-const log = require('./helpers/log.js');
+const formatDate = require('./helpers/format-date.js');
+const renderGallery = require('./helpers/render-gallery.js');
+const renderSidecar = require('./helpers/render-sidecar.js');
+const pngText = require('./helpers/png-text.js');
+const pngImage = require('./helpers/png-image.js');
+const diffImages = require('./helpers/diff-images.js');
+const moveFile = require('./helpers/move-file.js');
+const listFiles = require('./helpers/list-files.js');
+const lockFile = require('./helpers/lock-file.js');
+const truncateBytes = require('./helpers/truncate-bytes.js');
+const globToRegExp = require('./helpers/glob-to-regexp.js');
+const createLogger = require('./helpers/create-logger.js');
+const attachToJunitReports = require('./integrations/junit.js');
+const attachToAllureResults = require('./integrations/allure.js');
+const createWdioReporterAdapter = require('./adapters/wdio-reporter.js');
+
+/**
+ * Keywords of the PNG text chunks holding the embedded metadata
+ */
+const PNG_METADATA_KEYWORDS = {
+	title: 'errorshot:title',
+	spec: 'errorshot:spec',
+	browser: 'errorshot:browser',
+	runId: 'errorshot:runId',
+	error: 'errorshot:error'
+};
 
 
 /**
@@ -31,11 +57,196 @@ class ErrorshotReporter extends events.EventEmitter {
 		this._isInitialized = val;
 	}
 
+	/**
+	 * Polled by WebdriverIO before the process exits, false as long as file operations are in flight
+	 *
+	 * @returns {boolean}
+	 */
+	get isSynchronised() {
+		return this.pendingOperations === 0;
+	}
+
+	get renameRetries() {
+		return 5;
+	}
+
+	get renameRetryDelay() {
+		return 100;
+	}
+
 	get defaultFilenameTemplate() {
 		return '%timestamp%_%capId%_%parent%-%title%';
 	}
 
+	get defaultUserFilenameTemplate() {
+		return '%parent%-%title%_%label%';
+	}
+
+	get ruleConditionNames() {
+		return ['spec', 'suite', 'title', 'capabilities'];
+	}
+
+	get defaultCollisionStrategy() {
+		return 'suffix';
+	}
+
+	get collisionStrategies() {
+		return ['suffix', 'overwrite', 'skip'];
+	}
+
+	/**
+	 * Matches a placeholder with optional modifiers, e.g. '%title%' or '%title|truncate:60|upper%'
+	 *
+	 * @returns {RegExp}
+	 */
+	get placeholderPattern() {
+		return /%(\w+)((?:\|[^%|]*)*)%/g;
+	}
+
+	/**
+	 * Matches characters that are illegal in filenames on common filesystems
+	 *
+	 * @returns {RegExp}
+	 */
+	get illegalCharacterPattern() {
+		return /[<>:"|?*\u0000-\u001f]/g;
+	}
+
+	get placeholderModifiers() {
+		return ['truncate', 'upper', 'lower', 'default', 'format'];
+	}
+
+	get datePlaceholders() {
+		return ['timestamp'];
+	}
+
+	get placeholderNames() {
+		return [
+			'capId', 'browser', 'browserName', 'browserVersion', 'platform', 'deviceName', 'cid',
+			'specFile', 'specDir', 'suitePath', 'retry', 'timestamp', 'parent', 'title', 'index', 'label', 'hash'
+		];
+	}
+
+	/**
+	 * Placeholders that differ between two screenshots of a run, a template needs at least one of them
+	 *
+	 * @returns {string[]}
+	 */
+	get uniquePlaceholderNames() {
+		return ['timestamp', 'title', 'index'];
+	}
+
+	get optionNames() {
+		return [
+			'template', 'collision', 'placeholders', 'timezone', 'manifest', 'gallery', 'sidecar',
+			'embedMetadata', 'runId', 'retryPolicy', 'retention', 'sanitize', 'logLevel', 'logFile', 'onRenamed',
+			'junit', 'allure', 'userScreenshots', 'rules', 'dedupe', 'visualDiff'
+		];
+	}
+
+	get logLevels() {
+		return createLogger.LEVELS;
+	}
+
+	/**
+	 * Log levels of WebdriverIO v4 that have no counterpart in our levels
+	 *
+	 * @returns {object}
+	 */
+	get wdioLogLevels() {
+		return {
+			verbose: 'debug',
+			command: 'info',
+			data: 'info',
+			result: 'info'
+		};
+	}
+
+	get defaultLogFilename() {
+		return 'wdio-errorshot-reporter.log';
+	}
+
+	get defaultSanitizeOptions() {
+		return {
+			transliterate: true,
+			unicode: false,
+			delimiter: '-',
+			case: 'lower',
+			maxLength: 255
+		};
+	}
+
+	/**
+	 * Bytes kept free in the last segment of a name for the extension, a collision suffix or a sidecar extension
+	 *
+	 * @returns {number}
+	 */
+	get reservedFilenameBytes() {
+		return 16;
+	}
+
+	get timezones() {
+		return ['utc', 'local'];
+	}
+
+	get manifestFilename() {
+		return 'errorshots.json';
+	}
+
+	get galleryFilename() {
+		return 'index.html';
+	}
+
+	get retentionHistoryFilename() {
+		return '.errorshot-history.json';
+	}
+
+	get lockFilename() {
+		return '.errorshot.lock';
+	}
+
+	get sidecarFormats() {
+		return ['json', 'txt'];
+	}
+
+	get commandHistoryLength() {
+		return 10;
+	}
+
+	/**
+	 * Matches the WebDriver endpoints sending typed text, e.g. passwords sent to '/element/:id/value'
+	 *
+	 * @returns {RegExp}
+	 */
+	get typingEndpointPattern() {
+		return /\/(value|keys|alert\/text|alert_text)$/;
+	}
+
+	get retryPolicies() {
+		return ['keepAll', 'keepLast', 'deleteOnPass'];
+	}
+
+	get dedupeStrategies() {
+		return ['link', 'reference'];
+	}
+
+	get defaultVisualDiffOptions() {
+		return { baselineDir: null, threshold: 0.1 };
+	}
+
+	/**
+	 * Appended to the basename of a screenshot to name its diff image
+	 *
+	 * @returns {string}
+	 */
+	get diffSuffix() {
+		return '.diff.png';
+	}
+
 	/**
+	 * Loaded by WebdriverIO v5 or newer, the reporter is created with the reporter options only and the adapter for
+	 * the class based reporter API is returned instead.
+	 *
 	 * @param {object} baseReporter Required when used as a reporter, can be empty when being tested
 	 * @param {object} config Coming from wdio.conf.js
 	 * @param {object} options Can be empty
@@ -43,208 +254,2630 @@ class ErrorshotReporter extends events.EventEmitter {
 	constructor(baseReporter, config, options = {}) {
 		super();
 
+		if (ErrorshotReporter.isWdioReporterOptions(baseReporter, config)) {
+			const WdioReporter = ErrorshotReporter.getWdioReporterClass();
+
+			return new WdioReporter(baseReporter);
+		}
+
 		// Set some internal properties
 		this.baseReporter = baseReporter;
 		this.config = config;
 		this.options = options;
 
-		// Internal logging method
-		//this.log = log;
-		this.log = () => {};
+		// Capabilities, running spec file and suite hierarchy of each worker, keyed by the runner cid
+		this.capabilities = {};
+		this.specFiles = {};
+		this.suites = {};
+
+		// Last failure and the last WebDriver commands of each worker, keyed by the runner cid
+		this.failures = {};
+		this.commands = {};
+
+		// Current attempt of each test, keyed by the test key, 0 for the first attempt
+		this.attempts = {};
+
+		// Counter of each resolved name for the %index% placeholder and all paths claimed during this run
+		this.nameIndexes = {};
+		this.reservedFilepaths = {};
 
-		// Get the filename with placeholders from wdio.conf.js
+		// Every screenshot we have handled during this run along with its manifest entry, and those we had to skip
+		this.errorshots = [];
+		this.skippedScreenshots = [];
+
+		// Workers that have ended while some of their renames were still in flight, their summary follows later
+		this.pendingSummaries = [];
+
+		// Number of renames in flight and whether the whole run has ended already
+		this.pendingOperations = 0;
+		this.hasEnded = false;
+
+		// Reject broken options with a clear message instead of producing broken filenames later on
+		const warnings = this.validateOptions();
+
+		// Leveled logger, following the logLevel of WebdriverIO unless told otherwise
+		this.logger = createLogger({ level: this.getOptionLogLevel(), file: this.getOptionLogFile(), name: 'errorshot' });
+		warnings.forEach(warning => this.logger.warn(warning));
+
+		// Get the filename with placeholders and the collision strategy from wdio.conf.js
 		this.filenameTemplate = this.getOptionFilenameTemplate();
+		this.userFilenameTemplate = this.getOptionUserFilenameTemplate();
+		this.collisionStrategy = this.getOptionCollisionStrategy();
+		this.timezone = this.getOptionTimezone();
+		this.sidecarFormat = this.getOptionSidecarFormat();
+		this.runId = this.getOptionRunId();
+		this.retryPolicy = this.getOptionRetryPolicy();
+		this.dedupeStrategy = this.getOptionDedupe();
+		this.visualDiffOptions = this.getOptionVisualDiff();
+
+		// Errorshots of the baseline run, read before retention or this run touch them
+		this.baselineEntries = this.visualDiffOptions ? this.readManifestEntries(this.visualDiffOptions.baselineDir) : [];
+		this.sanitizeOptions = this.getOptionSanitize();
+
+		// Prune errorshots of previous runs before we add new ones
+		this.enforceRetention();
+
+		// Record the capabilities of every worker as soon as it starts
+		this.on('runner:start', this.handleEventRunnerStart);
+
+		// Keep track of the spec file and the suite hierarchy the worker is currently in
+		this.on('suite:start', this.handleEventSuiteStart);
+		this.on('suite:end', this.handleEventSuiteEnd);
+		this.on('test:start', this.handleEventTestStart);
+
+		// Remember why a test failed and what the worker did before, so both end up next to its screenshot
+		this.on('test:fail', this.handleEventTestFail);
+		this.on('test:pass', this.handleEventTestPass);
+		this.on('runner:command', this.handleEventRunnerCommand);
 
 		// Listen on the 'runner:screenshot* event, our job begins here
 		this.on('runner:screenshot', this.handleEventRunnerScreenshot);
 
+		// Write the manifest and gallery of all renamed screenshots once a worker or the whole run has finished
+		this.on('runner:end', this.handleEventRunnerEnd);
+		this.on('end', this.handleEventEnd);
+
 		this.isInitialized = true;
 	}
 
 	/**
-	 * EventHandler method that renames a file on each 'runner:screenshot* event
+	 * EventHandler method that stores the capabilities of a worker on each 'runner:start' event
 	 *
-	 * @param {object} screenshot
+	 * @param {object} runner
 	 * @returns {boolean}
 	 */
-	handleEventRunnerScreenshot(screenshot) {
-		// Make sure screenshot has the required properties, otherwise skip the reporter
-		if (!this.screenshotHasRequiredProperties(screenshot)) {
+	handleEventRunnerStart(runner) {
+		if (!runner || !runner.cid || !runner.capabilities) {
 			return false;
 		}
 
-		// Build the paths and insert the replacements
-		const filepathOld = this.buildScreenshotFilepath(screenshot.filename);
-		const filepathNew = this.buildScreenshotFilepath(this.getScreenshotName(screenshot));
+		this.capabilities[runner.cid] = runner.capabilities;
 
-		// Finally rename the screenshot asynchronously, logging and failing gracefully on failure
-		this.renameScreenshot(filepathOld, filepathNew);
+		if (runner.specs && runner.specs.length) {
+			this.specFiles[runner.cid] = runner.specs[0];
+		}
 
 		return true;
 	}
 
 	/**
-	 * Get the path to the errorshot folder appended by screenshot filename
+	 * EventHandler method that pushes a suite onto the hierarchy of its worker on each 'suite:start' event
 	 *
-	 * @param {string} filename
-	 * @returns {string}
+	 * @param {object} suite
+	 * @returns {boolean}
 	 */
-	buildScreenshotFilepath(filename) {
-		return path.join(this.config.screenshotPath, filename);
+	handleEventSuiteStart(suite) {
+		if (!suite || !suite.cid) {
+			return false;
+		}
+
+		this.updateSpecFile(suite);
+
+		if (!this.suites.hasOwnProperty(suite.cid)) {
+			this.suites[suite.cid] = [];
+		}
+
+		this.suites[suite.cid].push(suite.title || '');
+
+		return true;
 	}
 
 	/**
-	 * Get the filename from a wdio screenshot object
+	 * EventHandler method that pops the finished suite from the hierarchy of its worker on each 'suite:end' event
 	 *
-	 * @param {object} screenshot
-	 * @returns {string}
+	 * @param {object} suite
+	 * @returns {boolean}
 	 */
-	getScreenshotName(screenshot) {
-		return this.replaceFilenameTemplatePlaceholders(screenshot) + '.png';
+	handleEventSuiteEnd(suite) {
+		if (!suite || !suite.cid || !this.suites.hasOwnProperty(suite.cid)) {
+			return false;
+		}
+
+		this.suites[suite.cid].pop();
+
+		return true;
 	}
 
 	/**
-	 * Rename a screenshot by passing the old and new path including the files name.
+	 * EventHandler method that keeps the spec file of a worker up to date and counts the attempts of a test
+	 * on each 'test:start' event
 	 *
-	 * @param {string} filepathOld
-	 * @param {string} filepathNew
+	 * @param {object} test
+	 * @returns {boolean}
 	 */
-	renameScreenshot(filepathOld, filepathNew, cb) {
-		fs.rename(filepathOld, filepathNew, (err) => {
-			if (err) {
-				this.log(`Failed to rename screenshot from '${filepathOld}' to '${filepathNew}':`);
-				this.log(err);
-			}
+	handleEventTestStart(test) {
+		if (!test || !test.cid) {
+			return false;
+		}
 
-			if(typeof cb === 'function') {
-				cb(err);
-			}
-		});
+		this.updateSpecFile(test);
+
+		const testKey = this.getTestKey(test.cid, test.title);
+		this.attempts[testKey] = this.attempts.hasOwnProperty(testKey) ? this.attempts[testKey] + 1 : 0;
+
+		return true;
 	}
 
 	/**
-	 * Check if the 'screenshot' object does contain required certain properties.
-	 * If it returns false we skip file renaming for the current screenshot.
+	 * EventHandler method that discards the screenshots of earlier attempts on each 'test:pass' event,
+	 * if the retry policy tells us to
 	 *
-	 * @param {object} screenshot
+	 * @param {object} test
 	 * @returns {boolean}
 	 */
-	screenshotHasRequiredProperties(screenshot) {
-		const hasRequiredProperties = screenshot.hasOwnProperty('filename')
-			&& screenshot.hasOwnProperty('time')
-			&& screenshot.hasOwnProperty('parent')
-			&& screenshot.hasOwnProperty('title');
-
-		if (!hasRequiredProperties) {
-			this.log('Screenshot properties do not match.');
+	handleEventTestPass(test) {
+		if (!test || !test.cid || this.retryPolicy !== 'deleteOnPass') {
+			return false;
 		}
 
-		return hasRequiredProperties;
+		const testKey = this.getTestKey(test.cid, test.title);
+
+		this.errorshots
+			.filter(errorshot => errorshot.testKey === testKey && !errorshot.isUserScreenshot)
+			.forEach(errorshot => this.discardErrorshot(errorshot));
+
+		return true;
 	}
 
 	/**
-	 * Returns the string that is the initial filename with all placeholders intact.
-	 * Using fallback if the option is not defined in wdio.conf.js
+	 * Identify a test by its worker, spec file, suites and title, so all attempts of a test share the same key
 	 *
-	 * @example reporterOptions: { errorshotReporter: { format: '%capId%_%parent%-%title%_%timestamp%' } }
+	 * @param {string} cid
+	 * @param {string} title
 	 * @returns {string}
 	 */
-	getOptionFilenameTemplate() {
-		if (!this.config.reporterOptions || !this.config.reporterOptions.errorshotReporter || !this.config.reporterOptions.errorshotReporter.template) {
-			return this.defaultFilenameTemplate;
-		}
-
-		// Make sure format has been set in the config, otherwise fallback to default
-		return this.config.reporterOptions.errorshotReporter.template;
+	getTestKey(cid, title) {
+		return JSON.stringify([cid, this.specFiles[cid] || '', this.suites[cid] || [], title]);
 	}
 
 	/**
-	 * Parse information that can be used via placeholders
+	 * EventHandler method that attaches the error of a failed test to its screenshots on each 'test:fail' event
 	 *
-	 * @param {object} screenshot
-	 * @returns {{capId: string, browser: string, timestamp: string, parent: string, title: string}}
+	 * @param {object} test
+	 * @returns {boolean}
 	 */
-	getPlaceholderLookup(screenshot) {
-		const browserName = this.getBrowserFromScreenshotName(screenshot.filename);
+	handleEventTestFail(test) {
+		if (!test || !test.cid) {
+			return false;
+		}
 
-		return {
-			capId: browserName,
-			browser: browserName,
-			browserName: browserName,
-			timestamp: screenshot.time.toJSON().replace(/:/g, '-'),
-			parent: slugify(screenshot.parent),
-			title: slugify(screenshot.title)
-		};
+		const error = test.err ? { message: test.err.message || '', stack: test.err.stack || '' } : null;
+
+		this.failures[test.cid] = { title: test.title, error: error };
+
+		// The screenshot is usually taken before the test is reported as failed
+		this.errorshots
+			.filter(errorshot => errorshot.entry.cid === test.cid && errorshot.entry.title === test.title && !errorshot.entry.error)
+			.forEach(errorshot => {
+				errorshot.entry.error = error;
+
+				// Metadata of already renamed screenshots needs the error as well
+				if (errorshot.status === 'renamed') {
+					this.writeErrorshotMetadata(errorshot);
+				}
+			});
+
+		return true;
 	}
 
 	/**
-	 * Parse the browser name from the filename since we have no access to capabilities in the screenshot event
+	 * EventHandler method that keeps the last WebDriver commands of a worker on each 'runner:command' event.
+	 * Typed text in the request bodies is redacted, as the commands end up in sidecar files.
 	 *
-	 * @param {string} filename
-	 * @returns {string}
+	 * @param {object} command
+	 * @returns {boolean}
 	 */
-	getBrowserFromScreenshotName(filename) {
-		const browsers = [
-			'chrome',
-			'firefox',
-			'ie',
-			'edge',
-			'opera'
-		];
-
-		let browserName = null;
+	handleEventRunnerCommand(command) {
+		if (!command || !command.cid) {
+			return false;
+		}
 
-		// Due to wdio putting the browser string as the second part in a screenshots name we can
-		// parse it easily in most cases
-		const parsedFilenameParts = filename.match(/_(.*?)_/);
+		if (!this.commands.hasOwnProperty(command.cid)) {
+			this.commands[command.cid] = [];
+		}
 
-		// Check if we have found enough parts
-		browserName = parsedFilenameParts && parsedFilenameParts.length ? parsedFilenameParts[1] : false;
+		const commands = this.commands[command.cid];
+		const commandPath = command.uri && typeof command.uri === 'object' ? command.uri.path : command.uri || '';
 
-		// Last resort if we're unable to find a browser via regex is to manually check the filename against an array of
-		// browsers we have defined above, return if any has been found
-		if(!browserName || !filename.startsWith('ERROR')) {
-			browserName = null;
+		commands.push({
+			method: command.method || '',
+			path: commandPath,
+			data: this.typingEndpointPattern.test(commandPath) ? this.redactCommandData(command.data) : command.data || {}
+		});
 
-			browsers.forEach(browser => {
-				if(filename.includes(browser)) {
-					browserName = browser;
-				}
-			});
+		if (commands.length > this.commandHistoryLength) {
+			commands.shift();
 		}
 
-		// If no browser could be parsed from the filename we return 'unknown_browser' for our placeholders
-		return browserName ? browserName : 'unknown_browser';
+		return true;
 	}
 
 	/**
-	 * Inserts content for our placeholders, placeholder character pattern is a unique word wrapped by two single '%'
+	 * Copy the request body of a command sending typed text with the 'value' and 'text' fields replaced
 	 *
-	 * @param {object} replacementLookup
-	 * @returns {string}
+	 * @param {object} [data]
+	 * @returns {object}
 	 */
-	replaceFilenameTemplatePlaceholders(screenshot) {
-		const placeholders = this.getPlaceholderLookup(screenshot);
+	redactCommandData(data) {
+		const redacted = Object.assign({}, data);
 
-		// Find all instances of our placeholder pattern and replace them
-		return this.filenameTemplate.replace(/%\w+%/g, match => {
-			// Remove placeholder chars to access the placeholder lookup
-			const matchNoDelimiter = match.replace(/%/g, '');
+		['value', 'text']
+			.filter(field => redacted.hasOwnProperty(field))
+			.forEach(field => { redacted[field] = '[redacted]'; });
 
-			// Don't replace if we don't have the placeholder (wrong user input)
-			return placeholders.hasOwnProperty(matchNoDelimiter)
-				? placeholders[matchNoDelimiter]
-				: match;
+		return redacted;
+	}
 
+	/**
+	 * EventHandler method that writes the manifest and the gallery on each 'runner:end' event and reports the
+	 * summary of the worker that has ended
+	 *
+	 * @param {object} [runner]
+	 * @returns {boolean}
+	 */
+	handleEventRunnerEnd(runner) {
+		this.withScreenshotPathLock(() => {
+			this.writeManifest();
+			this.writeGallery();
+			this.recordRetentionHistory();
 		});
-	}
 
-}
+		// Reports of other reporters are complete once the whole run has ended
+		if (this.hasEnded) {
+			this.attachToJunit();
+			this.attachToAllure();
+		}
 
-/**
- * Required name by WebdriverIO
- */
-ErrorshotReporter.reporterName = 'errorshotReporter';
+		if (runner && runner.cid) {
+			this.reportRunSummary(runner.cid);
+		}
+
+		return true;
+	}
+
+	/**
+	 * EventHandler method for the final 'end' event, renames still in flight write the reports again once settled
+	 *
+	 * @returns {boolean}
+	 */
+	handleEventEnd() {
+		this.hasEnded = true;
+
+		return this.handleEventRunnerEnd();
+	}
+
+	/**
+	 * Store the spec file of a runner event, preferring the file of the event over the specs of the worker
+	 *
+	 * @param {object} event
+	 */
+	updateSpecFile(event) {
+		const specFile = event.file || (event.specs && event.specs.length ? event.specs[0] : null);
+
+		if (specFile) {
+			this.specFiles[event.cid] = specFile;
+		}
+	}
+
+	/**
+	 * EventHandler method that renames a file on each 'runner:screenshot* event
+	 *
+	 * @param {object} screenshot
+	 * @returns {boolean}
+	 */
+	handleEventRunnerScreenshot(screenshot) {
+		// Make sure screenshot has the required properties, otherwise skip the reporter
+		if (!this.screenshotHasRequiredProperties(screenshot)) {
+			this.skipScreenshot(screenshot, screenshot.filename ? this.buildScreenshotFilepath(screenshot.filename) : '');
+			return false;
+		}
+
+		const isUserScreenshot = this.isUserScreenshot(screenshot);
+
+		// Screenshots taken by the tests themselves are only renamed on request
+		if (isUserScreenshot && !this.userFilenameTemplate) {
+			this.getLogger(screenshot.cid).debug(`Ignored '${screenshot.filename}', it has been taken by the test.`);
+			return false;
+		}
+
+		// A rule without template keeps the name WebdriverIO gave the screenshot
+		if (this.getScreenshotTemplate(screenshot) === false) {
+			this.getLogger(screenshot.cid).debug(`Kept the name of '${screenshot.filename}' as told by a rule.`);
+			return false;
+		}
+
+		// Build the paths and insert the replacements, tests save their screenshots relative to the working directory
+		const filepathOld = this.getScreenshotFilepath(screenshot);
+		const filepathNew = this.resolveFilepathCollision(this.buildScreenshotFilepath(this.getScreenshotName(screenshot)));
+
+		// Another screenshot already owns the name and we have been told to keep it
+		if (!filepathNew) {
+			this.getLogger(screenshot.cid).info(`Skipped renaming '${filepathOld}', the new name is already taken.`);
+			this.skipScreenshot(screenshot, filepathOld);
+			return false;
+		}
+
+		const errorshot = {
+			status: 'pending',
+			filepathOld: filepathOld,
+			filepath: filepathNew,
+			isUserScreenshot: isUserScreenshot,
+			testKey: this.getTestKey(screenshot.cid, screenshot.title),
+			entry: this.buildManifestEntry(screenshot, filepathNew),
+			commands: (this.commands[screenshot.cid] || []).slice()
+		};
+
+		// Only the final failing attempt of a test is of interest
+		if (this.retryPolicy === 'keepLast' && !isUserScreenshot) {
+			this.errorshots
+				.filter(previous => previous.testKey === errorshot.testKey && previous.entry.retry < errorshot.entry.retry && !previous.isUserScreenshot)
+				.forEach(previous => this.discardErrorshot(previous));
+		}
+
+		this.errorshots.push(errorshot);
+
+		// Finally rename the screenshot asynchronously, logging and failing gracefully on failure
+		this.renameScreenshot(filepathOld, filepathNew, err => {
+			errorshot.status = err ? 'failed' : 'renamed';
+
+			if (err) {
+				return this.getLogger(screenshot.cid).error(`Failed to rename screenshot from '${filepathOld}' to '${filepathNew}':`, err);
+			}
+
+			this.getLogger(screenshot.cid).debug(`Renamed screenshot from '${filepathOld}' to '${filepathNew}'.`);
+
+			// The screenshot has been discarded while the rename was in flight
+			if (errorshot.isDiscarded) {
+				return this.discardErrorshot(errorshot);
+			}
+
+			this.deduplicateErrorshot(errorshot);
+			this.writeVisualDiff(errorshot);
+			this.writeErrorshotMetadata(errorshot);
+			this.announceRename(errorshot, screenshot);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Let other reporters and integrations know the final path of a renamed screenshot, by emitting the
+	 * 'errorshot:renamed' event and calling the 'onRenamed' callback option
+	 *
+	 * @param {object} errorshot
+	 * @param {object} screenshot
+	 * @returns {object} The info passed on
+	 */
+	announceRename(errorshot, screenshot) {
+		const onRenamed = this.getReporterOptions().onRenamed;
+		const info = {
+			oldPath: errorshot.filepathOld,
+			newPath: errorshot.filepath,
+			cid: errorshot.entry.cid,
+			spec: errorshot.entry.spec,
+			suites: errorshot.entry.suites,
+			parent: screenshot.parent,
+			title: errorshot.entry.title,
+			capabilities: errorshot.entry.capabilities,
+			retry: errorshot.entry.retry,
+			duplicateOf: errorshot.original ? errorshot.original.filepath : null
+		};
+
+		this.emitEvent('errorshot:renamed', info);
+
+		if (typeof onRenamed === 'function') {
+			try {
+				onRenamed(info);
+			} catch (err) {
+				this.getLogger(info.cid).warn(`The 'onRenamed' callback failed for '${info.newPath}':`, err);
+			}
+		}
+
+		return info;
+	}
+
+	/**
+	 * Check if a screenshot has been taken by the test itself, e.g. with 'browser.saveScreenshot()'. WebdriverIO
+	 * names the screenshots it takes on errors 'ERROR_<browser>_<timestamp>.png'.
+	 *
+	 * @param {object} screenshot
+	 * @returns {boolean}
+	 */
+	isUserScreenshot(screenshot) {
+		return !/^ERROR_/.test(path.basename(screenshot.filename));
+	}
+
+	/**
+	 * Get the path a screenshot has been saved to, tests save their screenshots relative to the working directory
+	 *
+	 * @param {object} screenshot
+	 * @returns {string}
+	 */
+	getScreenshotFilepath(screenshot) {
+		return this.isUserScreenshot(screenshot) ? path.resolve(screenshot.filename) : this.buildScreenshotFilepath(screenshot.filename);
+	}
+
+	/**
+	 * Get the SHA-1 hash of the contents of a file, empty if it can't be read
+	 *
+	 * @param {string} filepath
+	 * @returns {string}
+	 */
+	getContentHash(filepath) {
+		try {
+			return crypto.createHash('sha1').update(fs.readFileSync(filepath)).digest('hex');
+		} catch (err) {
+			return '';
+		}
+	}
+
+	/**
+	 * Replace a renamed screenshot that is byte-identical to one renamed earlier during this run, if enabled in
+	 * wdio.conf.js. 'link' replaces it with a hard link to the first copy, 'reference' deletes it and references
+	 * the first copy in the manifest. The copy is kept if that fails.
+	 *
+	 * @param {object} errorshot
+	 * @returns {boolean} Whether the screenshot has been deduplicated
+	 */
+	deduplicateErrorshot(errorshot) {
+		if (!this.dedupeStrategy) {
+			return false;
+		}
+
+		errorshot.entry.hash = this.getContentHash(errorshot.filepath);
+
+		const original = errorshot.entry.hash && this.errorshots.find(other => other !== errorshot
+			&& other.status === 'renamed' && !other.isDiscarded && !other.original && other.entry.hash === errorshot.entry.hash);
+
+		if (!original) {
+			return false;
+		}
+
+		const filepathLink = `${errorshot.filepath}.link`;
+
+		try {
+			if (this.dedupeStrategy === 'link') {
+				// Link next to it first, so the copy is only replaced once the link exists
+				fs.linkSync(original.filepath, filepathLink);
+				fs.renameSync(filepathLink, errorshot.filepath);
+			} else {
+				fs.unlinkSync(errorshot.filepath);
+				errorshot.entry.duplicateOf = original.entry.path;
+			}
+		} catch (err) {
+			try {
+				fs.unlinkSync(filepathLink);
+			} catch (unlinkErr) {
+				// Nothing left behind
+			}
+
+			this.getLogger(errorshot.entry.cid).warn(`Failed to deduplicate '${errorshot.filepath}', keeping the copy:`, err);
+			return false;
+		}
+
+		errorshot.original = original;
+		this.getLogger(errorshot.entry.cid).debug(`Deduplicated '${errorshot.filepath}', it is identical to '${original.filepath}'.`);
+
+		return true;
+	}
+
+	/**
+	 * Compare a renamed screenshot with the screenshot of the same test in the baseline directory, if enabled in
+	 * wdio.conf.js. A diff image highlighting the differing pixels is written next to the screenshot and the
+	 * mismatch is recorded in its manifest entry.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { visualDiff: { baselineDir: './baseline', threshold: 0.1 } } }
+	 * @param {object} errorshot
+	 * @returns {boolean} Whether a diff has been written
+	 */
+	writeVisualDiff(errorshot) {
+		if (!this.visualDiffOptions) {
+			return false;
+		}
+
+		const baseline = this.findBaselineScreenshot(errorshot);
+
+		if (!baseline) {
+			this.getLogger(errorshot.entry.cid).debug(`No baseline found for '${errorshot.filepath}'.`);
+			return false;
+		}
+
+		const filepathDiff = this.getDiffFilepath(errorshot.filepath);
+
+		try {
+			const result = diffImages(
+				pngImage.decodePng(fs.readFileSync(this.getContentFilepath(errorshot))),
+				pngImage.decodePng(fs.readFileSync(baseline.filepath)),
+				{ threshold: this.visualDiffOptions.threshold }
+			);
+
+			fs.writeFileSync(filepathDiff, pngImage.encodePng(result.image));
+
+			errorshot.entry.visualDiff = {
+				baseline: baseline.path,
+				diff: path.relative(this.config.screenshotPath, filepathDiff).split(path.sep).join('/'),
+				mismatch: Math.round(result.mismatch * 100) / 100
+			};
+		} catch (err) {
+			this.getLogger(errorshot.entry.cid).warn(`Failed to compare '${errorshot.filepath}' with the baseline '${baseline.filepath}':`, err);
+			return false;
+		}
+
+		this.getLogger(errorshot.entry.cid).debug(`Compared '${errorshot.filepath}' with the baseline, ${errorshot.entry.visualDiff.mismatch}% differ.`);
+
+		return true;
+	}
+
+	/**
+	 * Find the screenshot of the same test in the baseline directory, by spec, suites, title and browser in the
+	 * manifest of the baseline run, or else by the same path relative to the screenshotPath
+	 *
+	 * @param {object} errorshot
+	 * @returns {{path: string, filepath: string}|null} Path relative to the baseline directory and full path
+	 */
+	findBaselineScreenshot(errorshot) {
+		const entry = errorshot.entry;
+		const matches = this.baselineEntries.filter(baseline => baseline.spec === entry.spec
+			&& baseline.title === entry.title
+			&& (baseline.suites || []).join('\n') === entry.suites.join('\n')
+			&& (baseline.capabilities || {}).browserName === entry.capabilities.browserName);
+
+		// The last attempt of a test is the most recent one
+		const match = matches[matches.length - 1];
+		const relativePath = match ? match.duplicateOf || match.path : entry.path;
+		const filepath = path.join(this.visualDiffOptions.baselineDir, relativePath);
+
+		// The baseline directory might be the screenshotPath itself, a screenshot is never its own baseline
+		if (path.resolve(filepath) === path.resolve(this.getContentFilepath(errorshot)) || !fs.existsSync(filepath)) {
+			return null;
+		}
+
+		return { path: relativePath, filepath: filepath };
+	}
+
+	/**
+	 * Get the path of the diff image of a screenshot
+	 *
+	 * @param {string} filepath
+	 * @returns {string}
+	 */
+	getDiffFilepath(filepath) {
+		return filepath.slice(0, filepath.length - path.extname(filepath).length) + this.diffSuffix;
+	}
+
+	/**
+	 * Get the path holding the contents of a renamed screenshot, the first copy if it has been deduplicated by reference
+	 *
+	 * @param {object} errorshot
+	 * @returns {string}
+	 */
+	getContentFilepath(errorshot) {
+		return errorshot.entry.duplicateOf ? errorshot.original.filepath : errorshot.filepath;
+	}
+
+	/**
+	 * Returns the filename template of a screenshot, depending on whether the test took it itself and on the
+	 * first rule matching an error screenshot. False if a rule keeps the original name.
+	 *
+	 * @param {object} screenshot
+	 * @returns {string|boolean}
+	 */
+	getScreenshotTemplate(screenshot) {
+		if (this.userFilenameTemplate && this.isUserScreenshot(screenshot)) {
+			return this.userFilenameTemplate;
+		}
+
+		const rule = this.getFilenameTemplateRule(screenshot);
+
+		return rule ? rule.template : this.filenameTemplate;
+	}
+
+	/**
+	 * Find the first rule from wdio.conf.js matching the spec, suites, title and capabilities of a screenshot.
+	 * Every condition of a rule has to match.
+	 *
+	 * @param {object} screenshot
+	 * @returns {object|null}
+	 */
+	getFilenameTemplateRule(screenshot) {
+		const rules = this.getReporterOptions().rules || [];
+
+		if (!rules.length) {
+			return null;
+		}
+
+		const context = this.getScreenshotContext(screenshot);
+		const spec = this.getSummarySpec(context.specFile);
+		const toRegExp = pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern);
+		const isMatchingValue = (value, expected) => expected instanceof RegExp
+			? value !== undefined && value !== null && expected.test(String(value))
+			: value === expected;
+
+		return rules.find(rule => {
+			if (rule.spec !== undefined && ![].concat(rule.spec).some(glob => globToRegExp(glob.replace(/^\.\//, '')).test(spec))) {
+				return false;
+			}
+
+			if (rule.suite !== undefined && !context.suites.some(suite => toRegExp(rule.suite).test(suite))) {
+				return false;
+			}
+
+			if (rule.title !== undefined && !toRegExp(rule.title).test(context.title)) {
+				return false;
+			}
+
+			// Nested capabilities are addressed by their path, e.g. 'goog:chromeOptions.mobileEmulation.deviceName'
+			return rule.capabilities === undefined || Object.keys(rule.capabilities).every(name => isMatchingValue(
+				name.split('.').reduce((value, key) => value && typeof value === 'object' ? value[key] : undefined, context.capabilities),
+				rule.capabilities[name]
+			));
+		}) || null;
+	}
+
+	/**
+	 * Remember a screenshot that has not been renamed for the run summary
+	 *
+	 * @param {object} screenshot
+	 * @param {string} filepath Current path of the screenshot, empty if unknown
+	 */
+	skipScreenshot(screenshot, filepath) {
+		this.skippedScreenshots.push({
+			cid: screenshot.cid || '',
+			spec: this.getSummarySpec(this.getScreenshotSpecFile(screenshot)),
+			browser: this.getScreenshotCapabilities(screenshot).browserName || '',
+			filepath: filepath
+		});
+	}
+
+	/**
+	 * Delete the screenshot of an earlier attempt along with its sidecar. Screenshots that are still being renamed
+	 * are deleted as soon as the rename has settled.
+	 *
+	 * @param {object} errorshot
+	 */
+	discardErrorshot(errorshot) {
+		errorshot.isDiscarded = true;
+
+		if (errorshot.status !== 'renamed') {
+			return;
+		}
+
+		const extension = path.extname(errorshot.filepath);
+		const isReferenced = this.errorshots.some(other => other.original === errorshot && other.entry.duplicateOf && other.status === 'renamed');
+		const filepaths = (isReferenced ? [] : [errorshot.filepath]).concat(errorshot.entry.visualDiff ? [this.getDiffFilepath(errorshot.filepath)] : []);
+
+		// Duplicates still reference the screenshot in the manifest
+		if (isReferenced) {
+			this.getLogger(errorshot.entry.cid).debug(`Kept the screenshot of an earlier attempt '${errorshot.filepath}', duplicates reference it.`);
+		}
+
+		if (this.sidecarFormat) {
+			filepaths.push(errorshot.filepath.slice(0, errorshot.filepath.length - extension.length) + '.' + this.sidecarFormat);
+		}
+
+		filepaths.forEach(filepath => {
+			try {
+				fs.unlinkSync(filepath);
+			} catch (err) {
+				if (err.code !== 'ENOENT') {
+					this.getLogger(errorshot.entry.cid).warn(`Failed to delete the screenshot of an earlier attempt '${filepath}':`, err);
+				}
+			}
+		});
+
+		errorshot.status = 'deleted';
+	}
+
+	/**
+	 * Build the manifest entry describing a screenshot and the test it belongs to
+	 *
+	 * @param {object} screenshot
+	 * @param {string} filepathNew
+	 * @returns {object}
+	 */
+	buildManifestEntry(screenshot, filepathNew) {
+		const context = this.getScreenshotContext(screenshot);
+		const failure = this.failures[context.cid];
+
+		return {
+			originalName: screenshot.filename,
+			path: path.relative(this.config.screenshotPath, filepathNew).split(path.sep).join('/'),
+			spec: this.getSummarySpec(context.specFile),
+			suites: context.suites,
+			title: context.title,
+			cid: context.cid,
+			capabilities: context.capabilities,
+			retry: context.retry,
+			error: failure && failure.title === context.title ? failure.error : null,
+			timestamp: screenshot.time.toJSON()
+		};
+	}
+
+	/**
+	 * Write the metadata of a renamed screenshot into a sidecar file and the PNG itself, as enabled in wdio.conf.js
+	 *
+	 * @param {object} errorshot
+	 */
+	writeErrorshotMetadata(errorshot) {
+		this.writeSidecar(errorshot);
+		this.embedScreenshotMetadata(errorshot);
+	}
+
+	/**
+	 * Rewrite a renamed screenshot with PNG text chunks holding its metadata, if enabled in wdio.conf.js.
+	 * Only text chunks are added or replaced, the image data stays untouched.
+	 *
+	 * @param {object} errorshot
+	 * @returns {boolean}
+	 */
+	embedScreenshotMetadata(errorshot) {
+		// Duplicates have been deleted in favour of the first copy
+		if (!this.getReporterOptions().embedMetadata || errorshot.original) {
+			return false;
+		}
+
+		const entry = errorshot.entry;
+		const metadata = {
+			title: entry.title,
+			spec: entry.spec,
+			browser: entry.capabilities.browserName,
+			runId: this.runId,
+			error: entry.error ? entry.error.message : null
+		};
+		const texts = {};
+
+		Object.keys(metadata).forEach(key => {
+			texts[PNG_METADATA_KEYWORDS[key]] = metadata[key];
+		});
+
+		try {
+			fs.writeFileSync(errorshot.filepath, pngText.writeTextChunks(fs.readFileSync(errorshot.filepath), texts));
+		} catch (err) {
+			this.getLogger(errorshot.entry.cid).error(`Failed to embed the metadata into '${errorshot.filepath}':`, err);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Write the metadata of a renamed screenshot into a file with the same basename, if enabled in wdio.conf.js
+	 *
+	 * @param {object} errorshot
+	 * @returns {boolean}
+	 */
+	writeSidecar(errorshot) {
+		if (!this.sidecarFormat) {
+			return false;
+		}
+
+		const extension = path.extname(errorshot.filepath);
+		const filepath = errorshot.filepath.slice(0, errorshot.filepath.length - extension.length) + '.' + this.sidecarFormat;
+		const metadata = Object.assign({}, errorshot.entry, { commands: errorshot.commands });
+
+		try {
+			fs.writeFileSync(filepath, renderSidecar(metadata, this.sidecarFormat));
+		} catch (err) {
+			this.getLogger(errorshot.entry.cid).error(`Failed to write the sidecar '${filepath}':`, err);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Delete old errorshots of previous runs according to the retention option, keeping the newest ones. Only files
+	 * recorded in the retention history, listed in the manifest of a previous run or strictly matching the filename
+	 * template are ever deleted, each screenshot along with its sidecar and diff image.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { retention: { maxAgeDays: 7, maxFiles: 500, maxTotalMB: 200, dryRun: true } } }
+	 * @returns {string[]} Paths relative to the screenshotPath that have been, or in dry run would be, deleted
+	 */
+	enforceRetention() {
+		const retention = this.getReporterOptions().retention;
+
+		if (!retention || !this.config.screenshotPath) {
+			return [];
+		}
+
+		// Later workers of the same run would delete the errorshots of the workers that ran before them
+		const history = this.withScreenshotPathLock(() => this.claimRetention());
+
+		if (!history) {
+			return [];
+		}
+
+		const now = Date.now();
+		const maxAge = retention.maxAgeDays > 0 ? retention.maxAgeDays * 24 * 60 * 60 * 1000 : Infinity;
+		const maxFiles = retention.maxFiles >= 0 ? retention.maxFiles : Infinity;
+		const maxBytes = retention.maxTotalMB >= 0 ? retention.maxTotalMB * 1024 * 1024 : Infinity;
+		let keptFiles = 0;
+		let keptBytes = 0;
+		let isBudgetSpent = false;
+
+		// Newest first, so the budgets are spent on the most recent errorshots and everything older goes
+		const candidates = this.getRetentionCandidates(history.screenshots).sort((a, b) => b.mtime - a.mtime);
+		const expired = candidates.filter(candidate => {
+			isBudgetSpent = isBudgetSpent || keptFiles >= maxFiles || keptBytes + candidate.size > maxBytes;
+
+			const isExpired = isBudgetSpent || now - candidate.mtime > maxAge;
+
+			if (!isExpired) {
+				keptFiles++;
+				keptBytes += candidate.size;
+			}
+
+			return isExpired;
+		});
+
+		expired.forEach(candidate => {
+			if (retention.dryRun) {
+				this.logger.print(`Retention dry run, would delete '${path.join(this.config.screenshotPath, candidate.path)}'`);
+			} else {
+				this.deleteRetainedFiles(candidate.files);
+			}
+		});
+
+		// Workers that have already ended meanwhile recorded their screenshots, which must not be forgotten
+		if (!retention.dryRun) {
+			this.withScreenshotPathLock(() => {
+				const knownPaths = history.screenshots.concat(candidates).map(entry => entry.path);
+				const recorded = this.readRetentionHistory().screenshots.filter(entry => !knownPaths.includes(entry.path));
+
+				this.writeRetentionHistory(candidates.filter(candidate => !expired.includes(candidate)).concat(recorded));
+			});
+		}
+
+		return expired.map(candidate => candidate.path);
+	}
+
+	/**
+	 * Claim the retention of this run by recording the run in the retention history, null if another worker of the
+	 * same run has already claimed it. Only workers on WebdriverIO v5 and newer have a run, as every one of them has
+	 * its own reporter. Must be called while holding the lock of the screenshotPath.
+	 *
+	 * @returns {{run: string|null, screenshots: {path: string, files: string[]}[]}|null} The history before the claim
+	 */
+	claimRetention() {
+		const history = this.readRetentionHistory();
+
+		if (!this.config.runKey) {
+			return history;
+		}
+
+		if (history.run === this.config.runKey || !this.writeRetentionHistory(history.screenshots)) {
+			return null;
+		}
+
+		return history;
+	}
+
+	/**
+	 * Get all screenshots in the screenshotPath that have been created by this reporter, recognized by the retention
+	 * history, the manifest of a previous run or the filename template. Each one comes with the files belonging to it
+	 * that still exist, the time the newest of them has been modified and their total size.
+	 *
+	 * @param {{path: string, files: string[]}[]} historyEntries
+	 * @returns {{path: string, files: string[], mtime: number, size: number}[]}
+	 */
+	getRetentionCandidates(historyEntries) {
+		const templatePatterns = [this.filenameTemplate, this.userFilenameTemplate]
+			.concat((this.getReporterOptions().rules || []).map(rule => rule.template))
+			.filter(Boolean)
+			.map(template => this.getFilenameTemplatePattern(template))
+			.filter(Boolean);
+		const reservedPaths = [this.manifestFilename, this.galleryFilename, this.retentionHistoryFilename, this.lockFilename];
+		const candidates = {};
+
+		// Files of earlier runs are only guessed from the path, the history knows exactly what has been written
+		const addCandidate = (relativePath, files) => {
+			if (!candidates.hasOwnProperty(relativePath)) {
+				candidates[relativePath] = files || this.getRetainedFiles({ path: relativePath, visualDiff: { diff: this.getDiffFilepath(relativePath) } });
+			}
+		};
+
+		historyEntries.forEach(entry => addCandidate(entry.path, entry.files));
+		this.readManifestEntries(this.config.screenshotPath).forEach(entry => addCandidate(entry.path));
+		listFiles(this.config.screenshotPath)
+			.filter(file => templatePatterns.some(pattern => pattern.test(file.path)))
+			.forEach(file => addCandidate(file.path));
+
+		return Object.keys(candidates)
+			.map(relativePath => {
+				const files = candidates[relativePath]
+					.filter(file => typeof file === 'string' && !reservedPaths.includes(file) && !path.isAbsolute(file) && !file.split(/[\\/]+/).includes('..'))
+					.map(file => ({ path: file, stats: this.getRetainedFileStats(file) }))
+					.filter(file => file.stats);
+
+				return {
+					path: relativePath,
+					files: files.map(file => file.path),
+					mtime: Math.max.apply(null, files.map(file => file.stats.mtime.getTime())),
+					size: files.reduce((size, file) => size + file.stats.size, 0)
+				};
+			})
+			.filter(candidate => candidate.files.length > 0);
+	}
+
+	/**
+	 * Get the stats of a file relative to the screenshotPath, null if it doesn't exist anymore or is no file
+	 *
+	 * @param {string} relativePath
+	 * @returns {fs.Stats|null}
+	 */
+	getRetainedFileStats(relativePath) {
+		try {
+			const stats = fs.statSync(path.join(this.config.screenshotPath, relativePath));
+
+			return stats.isFile() ? stats : null;
+		} catch (err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Get the files written for a manifest entry relative to the screenshotPath: the screenshot, its sidecar and its
+	 * diff image. The screenshot itself is gone for duplicates that only reference the first copy.
+	 *
+	 * @param {object} entry
+	 * @returns {string[]}
+	 */
+	getRetainedFiles(entry) {
+		const basePath = entry.path.slice(0, entry.path.length - path.extname(entry.path).length);
+
+		// Only sidecars in the configured format are ours, other files sharing the name may belong to the user
+		return [entry.path]
+			.concat(this.sidecarFormat ? [`${basePath}.${this.sidecarFormat}`] : [])
+			.concat(entry.visualDiff ? [entry.visualDiff.diff] : []);
+	}
+
+	/**
+	 * Read the retention history, which records the files of every screenshot renamed since retention has been
+	 * enabled and the run that has last claimed the retention. Empty if there is none.
+	 *
+	 * @returns {{run: string|null, screenshots: {path: string, files: string[]}[]}}
+	 */
+	readRetentionHistory() {
+		try {
+			const history = JSON.parse(fs.readFileSync(path.join(this.config.screenshotPath, this.retentionHistoryFilename), 'utf8'));
+
+			return {
+				run: typeof history.run === 'string' ? history.run : null,
+				screenshots: (history.screenshots || []).filter(entry => typeof entry.path === 'string' && Array.isArray(entry.files))
+			};
+		} catch (err) {
+			return { run: null, screenshots: [] };
+		}
+	}
+
+	/**
+	 * Replace the retention history, unlike the manifest it outlives the run so old screenshots stay known
+	 *
+	 * @param {{path: string, files: string[]}[]} entries
+	 * @returns {boolean}
+	 */
+	writeRetentionHistory(entries) {
+		const screenshots = entries.map(entry => ({ path: entry.path, files: entry.files }));
+		const history = this.config.runKey ? { run: this.config.runKey, screenshots } : { screenshots };
+
+		// The run has to be recorded even without screenshots, it keeps later workers from pruning again
+		return this.writeScreenshotPathFile(this.retentionHistoryFilename, JSON.stringify(history, null, '\t'), entries.length > 0 || Boolean(this.config.runKey));
+	}
+
+	/**
+	 * Add the screenshots renamed during this run to the retention history, if retention is enabled in wdio.conf.js
+	 *
+	 * @returns {boolean}
+	 */
+	recordRetentionHistory() {
+		if (!this.getReporterOptions().retention) {
+			return false;
+		}
+
+		const entries = this.getManifestEntries().map(entry => ({ path: entry.path, files: this.getRetainedFiles(entry) }));
+		const paths = entries.map(entry => entry.path);
+
+		return this.writeRetentionHistory(this.readRetentionHistory().screenshots.filter(entry => !paths.includes(entry.path)).concat(entries));
+	}
+
+	/**
+	 * Build a pattern matching every screenshot path the filename template can produce, including collision suffixes.
+	 * Returns null if the template isn't safe to match: modified or custom placeholders can produce anything, and a
+	 * template without a timestamp, a hash or static words, e.g. '%title%', would match every other PNG as well.
+	 *
+	 * @param {string} [template] Defaults to the filename template of errorshots
+	 * @returns {RegExp|null}
+	 */
+	getFilenameTemplatePattern(template = this.filenameTemplate) {
+		const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		template = this.normalizeScreenshotName(template);
+
+		const pattern = this.placeholderPattern;
+		let source = '';
+		let lastIndex = 0;
+		let isAnchored = false;
+		let match;
+
+		while ((match = pattern.exec(template)) !== null) {
+			const valuePattern = match[2] ? null : this.getPlaceholderValuePattern(match[1]);
+			const text = template.slice(lastIndex, match.index);
+
+			if (!valuePattern) {
+				return null;
+			}
+
+			isAnchored = isAnchored || /[a-z0-9]/i.test(text) || ['timestamp', 'hash'].includes(match[1]);
+			source += escapeRegExp(text) + valuePattern;
+			lastIndex = pattern.lastIndex;
+		}
+
+		isAnchored = isAnchored || /[a-z0-9]/i.test(template.slice(lastIndex));
+		source += escapeRegExp(template.slice(lastIndex));
+
+		return isAnchored ? new RegExp(`^${source}(-\\d+)?\\.png$`, this.sanitizeOptions.unicode ? 'u' : '') : null;
+	}
+
+	/**
+	 * Get the pattern of the values a built-in placeholder can have, null for custom placeholders
+	 *
+	 * @param {string} name
+	 * @returns {string|null}
+	 */
+	getPlaceholderValuePattern(name) {
+		const delimiter = this.sanitizeOptions.delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const characters = {
+			lower: 'a-z0-9_',
+			upper: 'A-Z0-9_',
+			preserve: 'A-Za-z0-9_'
+		}[this.sanitizeOptions.case] || 'a-z0-9_';
+		const word = this.sanitizeOptions.unicode ? '[\\p{L}\\p{M}\\p{N}_]+' : `[${characters}]+`;
+
+		// Words joined by the delimiter, or the hash that replaces a value with nothing left after sanitizing
+		const slug = `(?:${delimiter ? `${word}(?:${delimiter}${word})*` : word}|[0-9a-f]{8}|unknown_browser)?`;
+
+		switch (name) {
+		case 'timestamp':
+			return '\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.\\d{3}Z';
+		case 'hash':
+			return '[0-9a-f]{8}';
+		case 'retry':
+		case 'index':
+			return '\\d+';
+		case 'capId':
+		case 'browser':
+		case 'browserName':
+		case 'browserVersion':
+		case 'platform':
+		case 'deviceName':
+		case 'cid':
+		case 'specFile':
+		case 'specDir':
+		case 'suitePath':
+		case 'parent':
+		case 'title':
+		case 'label':
+			return slug;
+		default:
+			return null;
+		}
+	}
+
+	/**
+	 * Read the entries of the manifest in a directory, empty if there is none
+	 *
+	 * @param {string} dirpath
+	 * @returns {object[]}
+	 */
+	readManifestEntries(dirpath) {
+		const manifest = this.readManifest(dirpath);
+
+		return manifest && manifest.screenshots || [];
+	}
+
+	/**
+	 * Read the manifest in a directory, null if there is none
+	 *
+	 * @param {string} dirpath
+	 * @returns {object|null}
+	 */
+	readManifest(dirpath) {
+		try {
+			return JSON.parse(fs.readFileSync(path.join(dirpath, this.manifestFilename), 'utf8'));
+		} catch (err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Delete the files of a screenshot of a previous run and the directories they leave empty
+	 *
+	 * @param {string[]} files Paths relative to the screenshotPath
+	 */
+	deleteRetainedFiles(files) {
+		files.forEach(file => {
+			const filepath = path.join(this.config.screenshotPath, file);
+
+			try {
+				fs.unlinkSync(filepath);
+			} catch (err) {
+				if (err.code !== 'ENOENT') {
+					this.logger.warn(`Failed to delete the old screenshot '${filepath}':`, err);
+				}
+			}
+
+			// Remove directories created by the template as long as they are empty
+			let dirpath = path.dirname(filepath);
+
+			while (path.relative(this.config.screenshotPath, dirpath) && !path.relative(this.config.screenshotPath, dirpath).startsWith('..')) {
+				try {
+					fs.rmdirSync(dirpath);
+				} catch (err) {
+					break;
+				}
+
+				dirpath = path.dirname(dirpath);
+			}
+		});
+	}
+
+	/**
+	 * Get the manifest entries of all successfully renamed screenshots
+	 *
+	 * @returns {object[]}
+	 */
+	getManifestEntries() {
+		return this.errorshots
+			.filter(errorshot => errorshot.status === 'renamed')
+			.map(errorshot => errorshot.entry);
+	}
+
+	/**
+	 * Get the manifest entries of the whole run. On WebdriverIO v5 and newer every worker has its own reporter, so
+	 * the entries the other workers of the same run have written into the manifest are kept.
+	 *
+	 * @returns {object[]}
+	 */
+	getRunManifestEntries() {
+		const entries = this.getManifestEntries();
+		const manifest = this.config.runKey ? this.readManifest(this.config.screenshotPath) : null;
+
+		if (!manifest || manifest.run !== this.config.runKey || !Array.isArray(manifest.screenshots)) {
+			return entries;
+		}
+
+		const cids = Object.keys(this.capabilities).concat(entries.map(entry => entry.cid));
+
+		return manifest.screenshots.filter(entry => !cids.includes(entry.cid)).concat(entries);
+	}
+
+	/**
+	 * Get a spec file relative to the current working directory with forward slashes, as used in reports
+	 *
+	 * @param {string} specFile
+	 * @returns {string}
+	 */
+	getSummarySpec(specFile) {
+		return specFile ? path.relative(process.cwd(), specFile).split(path.sep).join('/') : '';
+	}
+
+	/**
+	 * Summarize what happened to the screenshots of a worker, or of all workers without a cid. Screenshots of
+	 * earlier attempts that have been deleted by the retry policy are left out.
+	 *
+	 * @param {string} [cid]
+	 * @returns {{cid: string|null, renamed: number, skipped: number, failed: number, groups: Array}}
+	 */
+	getRunSummary(cid) {
+		const summary = { cid: cid || null, renamed: 0, skipped: 0, failed: 0, groups: [] };
+		const groups = {};
+
+		const add = (status, spec, browser, filepath) => {
+			const key = spec + '\n' + browser;
+
+			if (!groups[key]) {
+				groups[key] = { spec: spec, browser: browser, renamed: [], skipped: [], failed: [] };
+				summary.groups.push(groups[key]);
+			}
+
+			groups[key][status].push(filepath);
+			summary[status]++;
+		};
+
+		this.errorshots
+			.filter(errorshot => !cid || errorshot.entry.cid === cid)
+			.filter(errorshot => errorshot.status === 'renamed' || errorshot.status === 'failed')
+			.forEach(errorshot => {
+				const filepath = errorshot.status === 'renamed' ? errorshot.filepath : errorshot.filepathOld;
+
+				add(errorshot.status, errorshot.entry.spec, errorshot.entry.capabilities.browserName || '', filepath);
+			});
+
+		this.skippedScreenshots
+			.filter(skipped => !cid || skipped.cid === cid)
+			.forEach(skipped => add('skipped', skipped.spec, skipped.browser, skipped.filepath));
+
+		return summary;
+	}
+
+	/**
+	 * Print the summary of a worker and emit it as 'errorshot:summary' event for other reporters. Waits for the
+	 * renames of the worker that are still in flight. The summary is printed whatever the log level of WebdriverIO
+	 * is, only the logLevel option 'silent' of the reporter turns it off.
+	 *
+	 * @param {string} cid
+	 * @returns {boolean} Whether the summary has been reported right away
+	 */
+	reportRunSummary(cid) {
+		const isPending = this.errorshots.some(errorshot => errorshot.entry.cid === cid && errorshot.status === 'pending');
+
+		if (isPending) {
+			if (!this.pendingSummaries.includes(cid)) {
+				this.pendingSummaries.push(cid);
+			}
+
+			return false;
+		}
+
+		this.pendingSummaries = this.pendingSummaries.filter(pendingCid => pendingCid !== cid);
+
+		const summary = this.getRunSummary(cid);
+
+		if (summary.renamed + summary.skipped + summary.failed > 0 && this.getReporterOptions().logLevel !== 'silent') {
+			this.getLogger(cid).print(this.formatRunSummary(summary));
+		}
+
+		this.emitEvent('errorshot:summary', summary);
+
+		return true;
+	}
+
+	/**
+	 * Render a summary as compact text, one block per spec and browser
+	 *
+	 * @param {object} summary
+	 * @returns {string}
+	 */
+	formatRunSummary(summary) {
+		const lines = [`Errorshots: ${summary.renamed} renamed, ${summary.skipped} skipped, ${summary.failed} failed`];
+
+		summary.groups.forEach(group => {
+			lines.push(`  ${group.spec || 'unknown spec'} (${group.browser || 'unknown browser'})`);
+
+			['renamed', 'skipped', 'failed'].forEach(status => {
+				group[status].forEach(filepath => lines.push(`    ${status}  ${filepath || 'unknown file'}`));
+			});
+		});
+
+		return lines.join('\n');
+	}
+
+	/**
+	 * Emit an event of this reporter. Within WebdriverIO the base reporter passes it on to every other reporter.
+	 * A listener that throws is logged, it must neither break our renames nor end the worker.
+	 *
+	 * @param {string} name
+	 * @param {object} payload
+	 */
+	emitEvent(name, payload) {
+		try {
+			if (this.baseReporter && typeof this.baseReporter.handleEvent === 'function') {
+				this.baseReporter.handleEvent(name, payload);
+			} else {
+				this.emit(name, payload);
+			}
+		} catch (err) {
+			this.getLogger(payload && payload.cid).warn(`A listener of the '${name}' event failed:`, err);
+		}
+	}
+
+	/**
+	 * Write the manifest of all renamed screenshots into the screenshotPath. An existing manifest of a previous run
+	 * is replaced even if nothing has been renamed, so it never describes screenshots of another run.
+	 *
+	 * @returns {boolean}
+	 */
+	writeManifest() {
+		if (this.getReporterOptions().manifest === false) {
+			return false;
+		}
+
+		const entries = this.getRunManifestEntries();
+		const manifest = this.config.runKey ? { run: this.config.runKey, screenshots: entries } : { screenshots: entries };
+
+		return this.writeScreenshotPathFile(this.manifestFilename, JSON.stringify(manifest, null, '\t'), entries.length > 0);
+	}
+
+	/**
+	 * Write an offline HTML gallery of all renamed screenshots into the screenshotPath, replacing the gallery
+	 * of a previous run the same way as the manifest
+	 *
+	 * @returns {boolean}
+	 */
+	writeGallery() {
+		if (this.getReporterOptions().gallery === false) {
+			return false;
+		}
+
+		const entries = this.getRunManifestEntries();
+
+		return this.writeScreenshotPathFile(this.galleryFilename, renderGallery(entries), entries.length > 0);
+	}
+
+	/**
+	 * Reference the renamed screenshots as attachments of their failing testcases in the JUnit XML files of the
+	 * directory set in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { junit: { outputDir: './junit' } } }
+	 * @returns {string[]} Paths of the files that have been updated
+	 */
+	attachToJunit() {
+		const junit = this.getReporterOptions().junit;
+
+		if (!junit || !junit.outputDir) {
+			return [];
+		}
+
+		try {
+			const updated = attachToJunitReports(junit.outputDir, this.getIntegrationErrorshots());
+
+			updated.forEach(filepath => this.logger.debug(`Attached errorshots to '${filepath}'.`));
+
+			return updated;
+		} catch (err) {
+			this.logger.error(`Failed to attach the errorshots to the JUnit reports in '${junit.outputDir}':`, err);
+			return [];
+		}
+	}
+
+	/**
+	 * Copy the renamed screenshots into the Allure results directory set in wdio.conf.js and add them as attachments
+	 * to the results of their failed tests
+	 *
+	 * @example reporterOptions: { errorshotReporter: { allure: { outputDir: './allure-results', replaceScreenshots: true } } }
+	 * @returns {string[]} Paths of the results that have been updated
+	 */
+	attachToAllure() {
+		const allure = this.getReporterOptions().allure;
+
+		if (!allure || !allure.outputDir) {
+			return [];
+		}
+
+		try {
+			const updated = attachToAllureResults(allure.outputDir, this.getIntegrationErrorshots(), {
+				replaceScreenshots: allure.replaceScreenshots === true
+			});
+
+			updated.forEach(filepath => this.logger.debug(`Attached errorshots to '${filepath}'.`));
+
+			return updated;
+		} catch (err) {
+			this.logger.error(`Failed to attach the errorshots to the Allure results in '${allure.outputDir}':`, err);
+			return [];
+		}
+	}
+
+	/**
+	 * Get the renamed screenshots in the form the integrations match them against the tests of other reports
+	 *
+	 * @returns {{cid: string, suites: string[], title: string, filepath: string}[]}
+	 */
+	getIntegrationErrorshots() {
+		return this.errorshots
+			.filter(errorshot => errorshot.status === 'renamed')
+			.map(errorshot => ({
+				cid: errorshot.entry.cid,
+				suites: errorshot.entry.suites,
+				title: errorshot.entry.title,
+				filepath: path.resolve(this.getContentFilepath(errorshot))
+			}));
+	}
+
+	/**
+	 * Run a read-modify-write of the files shared by the workers of a run while holding the lock of the
+	 * screenshotPath, otherwise the update of one worker could overwrite the one of another. Without a run there is
+	 * only one reporter, which doesn't need the lock.
+	 *
+	 * @param {function} fn
+	 * @returns {*} What fn returns
+	 */
+	withScreenshotPathLock(fn) {
+		if (!this.config.runKey || !this.config.screenshotPath) {
+			return fn();
+		}
+
+		const lockPath = path.join(this.config.screenshotPath, this.lockFilename);
+		let release = null;
+
+		try {
+			fs.mkdirSync(this.config.screenshotPath, { recursive: true });
+			release = lockFile(lockPath);
+		} catch (err) {
+			this.logger.warn(`Failed to lock '${lockPath}', updating the shared files without it:`, err);
+		}
+
+		try {
+			return fn();
+		} finally {
+			if (release) {
+				release();
+			}
+		}
+	}
+
+	/**
+	 * Write a file into the screenshotPath. Without content worth writing only an already existing file is replaced.
+	 *
+	 * @param {string} filename
+	 * @param {string} contents
+	 * @param {boolean} hasContent
+	 * @returns {boolean}
+	 */
+	writeScreenshotPathFile(filename, contents, hasContent) {
+		if (!this.config.screenshotPath) {
+			return false;
+		}
+
+		const filepath = path.join(this.config.screenshotPath, filename);
+		const temporaryFilepath = `${filepath}.${process.pid}.tmp`;
+
+		if (!hasContent && !fs.existsSync(filepath)) {
+			return false;
+		}
+
+		// Other workers may read the file at any time, so it is replaced at once instead of written in place
+		try {
+			fs.mkdirSync(this.config.screenshotPath, { recursive: true });
+			fs.writeFileSync(temporaryFilepath, contents);
+			fs.renameSync(temporaryFilepath, filepath);
+		} catch (err) {
+			this.logger.error(`Failed to write '${filepath}':`, err);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the path to the errorshot folder appended by screenshot filename
+	 *
+	 * @param {string} filename
+	 * @returns {string}
+	 */
+	buildScreenshotFilepath(filename) {
+		return path.join(this.config.screenshotPath, filename);
+	}
+
+	/**
+	 * Get the filename from a wdio screenshot object
+	 *
+	 * @param {object} screenshot
+	 * @returns {string}
+	 */
+	getScreenshotName(screenshot) {
+		const filename = this.normalizeScreenshotName(this.replaceFilenameTemplatePlaceholders(screenshot));
+
+		return this.limitScreenshotName(this.replaceIndexPlaceholder(filename)) + '.png';
+	}
+
+	/**
+	 * Make every segment of a name safe on common filesystems: no trailing dots or spaces, no Windows reserved
+	 * names like 'CON' or 'NUL' and no more bytes than the 'sanitize.maxLength' option allows
+	 *
+	 * @param {string} filename Name without extension, segments separated by '/'
+	 * @returns {string}
+	 */
+	limitScreenshotName(filename) {
+		const delimiter = this.sanitizeOptions.delimiter;
+		const segments = filename.split('/');
+
+		return segments.map((segment, index) => {
+			const isLast = index === segments.length - 1;
+			const maxBytes = this.sanitizeOptions.maxLength - (isLast ? this.reservedFilenameBytes : 0);
+			let limited = segment.replace(/[. ]+$/, '');
+
+			if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(limited)) {
+				limited = '_' + limited;
+			}
+
+			return truncateBytes(limited || '_', maxBytes, delimiter);
+		}).join('/');
+	}
+
+	/**
+	 * Sanitize a placeholder value according to the 'sanitize' option. A value that has nothing left after
+	 * sanitizing, e.g. a title made of kanji only, is replaced by a short hash so names stay unique.
+	 *
+	 * @param {*} text
+	 * @returns {string}
+	 */
+	sanitize(text) {
+		const slug = slugify(text, this.sanitizeOptions);
+
+		if (!slug && String(text).trim()) {
+			return crypto.createHash('sha1').update(String(text)).digest('hex').slice(0, 8);
+		}
+
+		return slug;
+	}
+
+	/**
+	 * Replace the %index% placeholder with the number of times the name has been resolved, starting at 1
+	 *
+	 * @param {string} filename Filename with all other placeholders already replaced
+	 * @returns {string}
+	 */
+	replaceIndexPlaceholder(filename) {
+		if (!filename.includes('%index%')) {
+			return filename;
+		}
+
+		const index = (this.nameIndexes[filename] || 0) + 1;
+		this.nameIndexes[filename] = index;
+
+		return filename.replace(/%index%/g, index);
+	}
+
+	/**
+	 * Apply the collision strategy to a new screenshot path. Returns the path to rename to,
+	 * or null if the screenshot should keep its original name.
+	 *
+	 * @param {string} filepath
+	 * @returns {string|null}
+	 */
+	resolveFilepathCollision(filepath) {
+		const isTaken = candidate => this.reservedFilepaths.hasOwnProperty(candidate) || this.isExistingPath(candidate);
+		let resolved = filepath;
+
+		if (this.collisionStrategy === 'skip' && isTaken(filepath)) {
+			return null;
+		}
+
+		if (this.collisionStrategy === 'suffix') {
+			const extension = path.extname(filepath);
+			const base = filepath.slice(0, filepath.length - extension.length);
+
+			for (let suffix = 1; isTaken(resolved); suffix++) {
+				resolved = `${base}-${suffix}${extension}`;
+			}
+		}
+
+		this.reservedFilepaths[resolved] = true;
+
+		return resolved;
+	}
+
+	/**
+	 * Check if something exists at a path. Unlike 'fs.existsSync' it never throws, and a path that can't be
+	 * checked, e.g. for missing permissions, counts as existing so it is never overwritten.
+	 *
+	 * @param {string} filepath
+	 * @returns {boolean}
+	 */
+	isExistingPath(filepath) {
+		try {
+			fs.lstatSync(filepath);
+		} catch (err) {
+			return err.code !== 'ENOENT' && err.code !== 'ENOTDIR';
+		}
+
+		return true;
+	}
+
+	/**
+	 * Split a filename into its directory segments and drop empty, current and parent directory segments,
+	 * so templates like '%browser%/%title%' create subdirectories but can never escape the screenshotPath
+	 *
+	 * @param {string} filename
+	 * @returns {string}
+	 */
+	normalizeScreenshotName(filename) {
+		return filename
+			.split(/[\\/]+/)
+			.filter(segment => segment && segment !== '.' && segment !== '..')
+			.join('/');
+	}
+
+	/**
+	 * Rename a screenshot by passing the old and new path including the files name.
+	 * Missing directories of the new path are created when the first attempt fails, locked files are retried
+	 * and the reporter reports as unsynchronised until the rename has settled.
+	 *
+	 * @param {string} filepathOld
+	 * @param {string} filepathNew
+	 * @param {function} [cb]
+	 */
+	renameScreenshot(filepathOld, filepathNew, cb) {
+		const options = { retries: this.renameRetries, delay: this.renameRetryDelay };
+
+		// Settle even if the callback throws, WebdriverIO would wait for us forever otherwise
+		const done = (err) => {
+			try {
+				if (typeof cb === 'function') {
+					cb(err);
+				}
+			} finally {
+				this.settleOperation();
+			}
+		};
+
+		this.pendingOperations++;
+
+		moveFile(filepathOld, filepathNew, options, (err) => {
+			if (!err || err.code !== 'ENOENT') {
+				return done(err);
+			}
+
+			// The target directory might not exist yet, create it and try once more
+			fs.mkdir(path.dirname(filepathNew), { recursive: true }, (mkdirErr) => {
+				if (mkdirErr) {
+					return done(mkdirErr);
+				}
+
+				moveFile(filepathOld, filepathNew, options, done);
+			});
+		});
+	}
+
+	/**
+	 * Mark a file operation as settled. Summaries of workers that have ended meanwhile are reported once their
+	 * renames have settled. If it was the last one after the run has ended, the manifest and gallery are written
+	 * again so they include the late renames.
+	 */
+	settleOperation() {
+		this.pendingOperations--;
+
+		this.pendingSummaries.slice().forEach(cid => this.reportRunSummary(cid));
+
+		if (this.hasEnded && this.pendingOperations === 0) {
+			this.handleEventRunnerEnd();
+		}
+	}
+
+	/**
+	 * Check if the 'screenshot' object does contain required certain properties.
+	 * If it returns false we skip file renaming for the current screenshot.
+	 *
+	 * @param {object} screenshot
+	 * @returns {boolean}
+	 */
+	screenshotHasRequiredProperties(screenshot) {
+		const hasRequiredProperties = screenshot.hasOwnProperty('filename')
+			&& screenshot.hasOwnProperty('time')
+			&& screenshot.hasOwnProperty('parent')
+			&& screenshot.hasOwnProperty('title');
+
+		if (!hasRequiredProperties) {
+			this.getLogger(screenshot.cid).warn(`Skipped screenshot '${screenshot.filename}', it misses the properties 'filename', 'time', 'parent' or 'title'.`);
+		}
+
+		return hasRequiredProperties;
+	}
+
+	/**
+	 * Returns the string that is the initial filename with all placeholders intact, the fallback of the rules.
+	 * Using fallback if the option is not defined in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { format: '%capId%_%parent%-%title%_%timestamp%' } }
+	 * @returns {string}
+	 */
+	getOptionFilenameTemplate() {
+		if (!this.config.reporterOptions || !this.config.reporterOptions.errorshotReporter || !this.config.reporterOptions.errorshotReporter.template) {
+			return this.defaultFilenameTemplate;
+		}
+
+		// Make sure format has been set in the config, otherwise fallback to default
+		return this.config.reporterOptions.errorshotReporter.template;
+	}
+
+	/**
+	 * Returns the filename template of screenshots taken by the tests themselves, null if they keep their names.
+	 * Passing true uses the default template.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { userScreenshots: { template: '%parent%/%title%_%label%' } } }
+	 * @returns {string|null}
+	 */
+	getOptionUserFilenameTemplate() {
+		const userScreenshots = this.getReporterOptions().userScreenshots;
+
+		if (!userScreenshots) {
+			return null;
+		}
+
+		return userScreenshots.template || this.defaultUserFilenameTemplate;
+	}
+
+	/**
+	 * Returns how to handle a new name that is already taken by another file: 'suffix' appends -1, -2, ...,
+	 * 'overwrite' replaces the existing file and 'skip' keeps the original screenshot name.
+	 * Using fallback if the option is not defined in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { collision: 'skip' } }
+	 * @returns {string}
+	 */
+	getOptionCollisionStrategy() {
+		const options = this.getReporterOptions();
+
+		return this.collisionStrategies.includes(options.collision)
+			? options.collision
+			: this.defaultCollisionStrategy;
+	}
+
+	/**
+	 * Returns the time zone used by the 'format' modifier, either 'utc' or 'local'.
+	 * Using fallback if the option is not defined in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { timezone: 'local' } }
+	 * @returns {string}
+	 */
+	getOptionTimezone() {
+		const options = this.getReporterOptions();
+
+		return this.timezones.includes(options.timezone) ? options.timezone : 'utc';
+	}
+
+	/**
+	 * Returns the format of the metadata files written next to each renamed screenshot, either 'json' or 'txt'.
+	 * Returns null if sidecar files are not enabled in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { sidecar: 'json' } }
+	 * @returns {string|null}
+	 */
+	getOptionSidecarFormat() {
+		const options = this.getReporterOptions();
+
+		return this.sidecarFormats.includes(options.sidecar) ? options.sidecar : null;
+	}
+
+	/**
+	 * Returns the id of this run that is embedded into the screenshots, random if not defined in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { runId: process.env.BUILD_NUMBER } }
+	 * @returns {string}
+	 */
+	getOptionRunId() {
+		const options = this.getReporterOptions();
+
+		return options.runId ? String(options.runId) : crypto.randomBytes(8).toString('hex');
+	}
+
+	/**
+	 * Returns how byte-identical screenshots are deduplicated, either 'link' or 'reference'.
+	 * Returns null if deduplication is not enabled in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { dedupe: 'link' } }
+	 * @returns {string|null}
+	 */
+	getOptionDedupe() {
+		const options = this.getReporterOptions();
+
+		return this.dedupeStrategies.includes(options.dedupe) ? options.dedupe : null;
+	}
+
+	/**
+	 * Returns the options of the visual diff against a baseline run merged with the defaults.
+	 * Returns null if no baseline directory is set in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { visualDiff: { baselineDir: './baseline' } } }
+	 * @returns {{baselineDir: string, threshold: number}|null}
+	 */
+	getOptionVisualDiff() {
+		const visualDiff = this.getReporterOptions().visualDiff;
+
+		if (!visualDiff || !visualDiff.baselineDir) {
+			return null;
+		}
+
+		return Object.assign({}, this.defaultVisualDiffOptions, visualDiff);
+	}
+
+	/**
+	 * Returns what happens to the screenshots of retried tests: 'keepAll' keeps the screenshots of every attempt,
+	 * 'keepLast' only keeps the final failing attempt and 'deleteOnPass' deletes the screenshots of all attempts
+	 * once the test passes on a later retry. Using fallback if the option is not defined in wdio.conf.js
+	 *
+	 * @example reporterOptions: { errorshotReporter: { retryPolicy: 'keepLast' } }
+	 * @returns {string}
+	 */
+	getOptionRetryPolicy() {
+		const options = this.getReporterOptions();
+
+		return this.retryPolicies.includes(options.retryPolicy) ? options.retryPolicy : 'keepAll';
+	}
+
+	/**
+	 * Returns the log level, following the logLevel of WebdriverIO if the option is not defined in wdio.conf.js.
+	 * The WebdriverIO v4 levels 'verbose', 'command', 'data' and 'result' are mapped to 'debug' and 'info'.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { logLevel: 'debug' } }
+	 * @returns {string}
+	 */
+	getOptionLogLevel() {
+		const options = this.getReporterOptions();
+		const wdioLogLevel = this.config && this.config.logLevel;
+
+		if (this.logLevels.includes(options.logLevel)) {
+			return options.logLevel;
+		}
+
+		if (this.logLevels.includes(wdioLogLevel)) {
+			return wdioLogLevel;
+		}
+
+		return this.wdioLogLevels[wdioLogLevel] || 'info';
+	}
+
+	/**
+	 * Returns the path of the log file inside the WebdriverIO outputDir, null if logging to the console only.
+	 * Passing true uses the default filename.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { logFile: 'errorshots.log' } }
+	 * @returns {string|null}
+	 */
+	getOptionLogFile() {
+		const logFile = this.getReporterOptions().logFile;
+
+		if (!logFile || !this.config || !this.config.outputDir) {
+			return null;
+		}
+
+		const filepath = path.join(this.config.outputDir, logFile === true ? this.defaultLogFilename : logFile);
+
+		try {
+			fs.mkdirSync(path.dirname(filepath), { recursive: true });
+		} catch (err) {
+			return null;
+		}
+
+		return filepath;
+	}
+
+	/**
+	 * Returns the logger prefixing every line with the given runner cid, or the plain logger without a cid
+	 *
+	 * @param {string} [cid]
+	 * @returns {object}
+	 */
+	getLogger(cid) {
+		return cid ? this.logger.forWorker(cid) : this.logger;
+	}
+
+	/**
+	 * Returns the options of the sanitizer applied to every placeholder value, merged with the defaults
+	 *
+	 * @example reporterOptions: { errorshotReporter: { sanitize: { unicode: true, delimiter: '_', case: 'preserve', maxLength: 200 } } }
+	 * @returns {{transliterate: boolean, unicode: boolean, delimiter: string, case: string, maxLength: number}}
+	 */
+	getOptionSanitize() {
+		return Object.assign({}, this.defaultSanitizeOptions, this.getReporterOptions().sanitize);
+	}
+
+	/**
+	 * Returns the errorshotReporter options from wdio.conf.js, empty object if none have been set
+	 *
+	 * @returns {object}
+	 */
+	getReporterOptions() {
+		return this.config.reporterOptions && this.config.reporterOptions.errorshotReporter
+			? this.config.reporterOptions.errorshotReporter
+			: {};
+	}
+
+	/**
+	 * Parse information that can be used via placeholders
+	 *
+	 * @param {object} screenshot
+	 * @returns {object} Sanitized placeholder values keyed by placeholder name
+	 */
+	getPlaceholderLookup(screenshot) {
+		const context = this.getScreenshotContext(screenshot);
+		const capabilities = context.capabilities;
+		const browserName = capabilities.browserName
+			? this.sanitize(capabilities.browserName)
+			: this.getBrowserFromScreenshotName(screenshot.filename);
+
+		const placeholders = {
+			capId: browserName,
+			browser: browserName,
+			browserName: browserName,
+			browserVersion: this.sanitize(capabilities.browserVersion || capabilities.version || ''),
+			platform: this.sanitize(capabilities.platformName || capabilities.platform || ''),
+			deviceName: this.sanitize(this.getDeviceNameFromCapabilities(capabilities)),
+			cid: this.sanitize(context.cid),
+			specFile: this.sanitize(path.basename(context.specFile, path.extname(context.specFile)).replace(/\./g, '-')),
+			specDir: this.sanitize(this.getRelativeSpecDir(context.specFile).split(/[\\/]+/).join('-')),
+			suitePath: context.suites.map(suite => this.sanitize(suite)).filter(Boolean).join('_'),
+			retry: String(context.retry),
+			timestamp: screenshot.time.toJSON().replace(/:/g, '-'),
+			parent: this.sanitize(screenshot.parent),
+			title: this.sanitize(screenshot.title),
+			label: this.userFilenameTemplate && this.isUserScreenshot(screenshot)
+				? this.sanitize(path.basename(screenshot.filename, path.extname(screenshot.filename)))
+				: '',
+			hash: /%hash[%|]/.test(this.getScreenshotTemplate(screenshot) || '')
+				? this.getContentHash(this.getScreenshotFilepath(screenshot)).slice(0, 8)
+				: ''
+		};
+
+		return Object.assign(placeholders, this.getCustomPlaceholderLookup(screenshot, context));
+	}
+
+	/**
+	 * Resolve the user defined placeholders from wdio.conf.js, each one is a function receiving the screenshot,
+	 * the test context and the config. Values are sanitized the same way as the built-in ones.
+	 *
+	 * @example reporterOptions: { errorshotReporter: { placeholders: { jira: (screenshot) => screenshot.title.split(' ')[0] } } }
+	 * @param {object} screenshot
+	 * @param {object} context
+	 * @returns {object}
+	 */
+	getCustomPlaceholderLookup(screenshot, context) {
+		const resolvers = this.getReporterOptions().placeholders || {};
+		const placeholders = {};
+
+		Object.keys(resolvers).forEach(name => {
+			if (typeof resolvers[name] !== 'function') {
+				return;
+			}
+
+			let value;
+
+			try {
+				value = resolvers[name](screenshot, context, this.config);
+			} catch (err) {
+				this.getLogger(context.cid).warn(`Custom placeholder '${name}' failed to resolve:`, err);
+			}
+
+			placeholders[name] = value === undefined || value === null ? '' : this.sanitize(value);
+		});
+
+		return placeholders;
+	}
+
+	/**
+	 * Collect everything we know about the test that took the screenshot
+	 *
+	 * @param {object} screenshot
+	 * @returns {{cid: string, capabilities: object, specFile: string, suites: string[], parent: string, title: string, retry: number}}
+	 */
+	getScreenshotContext(screenshot) {
+		const cid = screenshot.cid || '';
+		const suites = cid && this.suites[cid] ? this.suites[cid].filter(Boolean) : [];
+
+		return {
+			cid: cid,
+			capabilities: this.getScreenshotCapabilities(screenshot),
+			specFile: this.getScreenshotSpecFile(screenshot),
+			suites: suites.length ? suites : [screenshot.parent],
+			parent: screenshot.parent,
+			title: screenshot.title,
+			retry: this.attempts[this.getTestKey(cid, screenshot.title)] || 0
+		};
+	}
+
+	/**
+	 * Get the spec file the worker that took the screenshot is currently running
+	 *
+	 * @param {object} screenshot
+	 * @returns {string}
+	 */
+	getScreenshotSpecFile(screenshot) {
+		if (screenshot.cid && this.specFiles.hasOwnProperty(screenshot.cid)) {
+			return this.specFiles[screenshot.cid];
+		}
+
+		if (screenshot.file) {
+			return screenshot.file;
+		}
+
+		return screenshot.specs && screenshot.specs.length ? screenshot.specs[0] : '';
+	}
+
+	/**
+	 * Get the directory of a spec file relative to the current working directory
+	 *
+	 * @param {string} specFile
+	 * @returns {string}
+	 */
+	getRelativeSpecDir(specFile) {
+		if (!specFile) {
+			return '';
+		}
+
+		const specDir = path.dirname(specFile);
+
+		return path.isAbsolute(specDir) ? path.relative(process.cwd(), specDir) : specDir;
+	}
+
+	/**
+	 * Get the capabilities of the worker that took the screenshot. Uses the capabilities recorded on 'runner:start'
+	 * and falls back to the runner map wdio attaches to most events.
+	 *
+	 * @param {object} screenshot
+	 * @returns {object}
+	 */
+	getScreenshotCapabilities(screenshot) {
+		const cid = screenshot.cid;
+
+		if (cid && this.capabilities.hasOwnProperty(cid)) {
+			return this.capabilities[cid];
+		}
+
+		if (cid && screenshot.runner && screenshot.runner[cid]) {
+			return screenshot.runner[cid];
+		}
+
+		return {};
+	}
+
+	/**
+	 * Get the device name from the capabilities, covering Appium style capabilities and chrome mobile emulation
+	 *
+	 * @param {object} capabilities
+	 * @returns {string}
+	 */
+	getDeviceNameFromCapabilities(capabilities) {
+		if (capabilities.deviceName) {
+			return capabilities.deviceName;
+		}
+
+		const chromeOptions = capabilities['goog:chromeOptions'] || capabilities.chromeOptions;
+
+		if (chromeOptions && chromeOptions.mobileEmulation && chromeOptions.mobileEmulation.deviceName) {
+			return chromeOptions.mobileEmulation.deviceName;
+		}
+
+		return '';
+	}
+
+	/**
+	 * Parse the browser name from the filename, used as fallback when no capabilities have been recorded for the worker
+	 *
+	 * @param {string} filename
+	 * @returns {string}
+	 */
+	getBrowserFromScreenshotName(filename) {
+		const browsers = [
+			'chrome',
+			'firefox',
+			'ie',
+			'edge',
+			'opera'
+		];
+
+		let browserName = null;
+
+		// Due to wdio putting the browser string as the second part in a screenshots name we can
+		// parse it easily in most cases
+		const parsedFilenameParts = filename.match(/_(.*?)_/);
+
+		// Check if we have found enough parts
+		browserName = parsedFilenameParts && parsedFilenameParts.length ? parsedFilenameParts[1] : false;
+
+		// Last resort if we're unable to find a browser via regex is to manually check the filename against an array of
+		// browsers we have defined above, return if any has been found
+		if(!browserName || !filename.startsWith('ERROR')) {
+			browserName = null;
+
+			browsers.forEach(browser => {
+				if(filename.includes(browser)) {
+					browserName = browser;
+				}
+			});
+		}
+
+		// If no browser could be parsed from the filename we return 'unknown_browser' for our placeholders
+		return browserName ? browserName : 'unknown_browser';
+	}
+
+	/**
+	 * Inserts content for our placeholders, placeholder character pattern is a unique word wrapped by two single '%',
+	 * optionally followed by modifiers separated by '|', e.g. '%title|truncate:60%'
+	 *
+	 * @param {object} screenshot
+	 * @returns {string}
+	 */
+	replaceFilenameTemplatePlaceholders(screenshot) {
+		const placeholders = this.getPlaceholderLookup(screenshot);
+
+		// Find all instances of our placeholder pattern and replace them
+		return this.getScreenshotTemplate(screenshot).replace(this.placeholderPattern, (match, name, modifiers) => {
+			// Don't replace if we don't have the placeholder (wrong user input)
+			if (!placeholders.hasOwnProperty(name)) {
+				return match;
+			}
+
+			const value = this.parsePlaceholderModifiers(modifiers).reduce(
+				(value, modifier) => this.applyPlaceholderModifier(value, modifier, screenshot),
+				String(placeholders[name])
+			);
+
+			// Path separators are reserved for the template itself, a value must never add directories
+			return value.replace(/[\\/]+/g, '-');
+		});
+	}
+
+	/**
+	 * Parse the modifiers part of a placeholder, e.g. '|truncate:60|upper'
+	 *
+	 * @param {string} modifiers
+	 * @returns {{name: string, arg: string}[]}
+	 * @throws {Error} When an unknown modifier is used
+	 */
+	parsePlaceholderModifiers(modifiers) {
+		return (modifiers || '').split('|').slice(1).map(modifier => {
+			const separatorIndex = modifier.indexOf(':');
+			const name = separatorIndex === -1 ? modifier : modifier.slice(0, separatorIndex);
+			const arg = separatorIndex === -1 ? undefined : modifier.slice(separatorIndex + 1);
+
+			if (!this.placeholderModifiers.includes(name)) {
+				throw new Error(`Unknown placeholder modifier '${name}' in 'reporterOptions.errorshotReporter.template', ` +
+					`available modifiers are: ${this.placeholderModifiers.join(', ')}`);
+			}
+
+			return { name: name, arg: arg };
+		});
+	}
+
+	/**
+	 * Apply a single modifier to a placeholder value. Text the modifier adds is cleaned up, so it never breaks the filename.
+	 *
+	 * @param {string} value
+	 * @param {{name: string, arg: string}} modifier
+	 * @param {object} screenshot
+	 * @returns {string}
+	 */
+	applyPlaceholderModifier(value, modifier, screenshot) {
+		switch (modifier.name) {
+		case 'truncate':
+			return this.trimDelimiters(value.slice(0, parseInt(modifier.arg, 10)));
+		case 'upper':
+			return value.toUpperCase();
+		case 'lower':
+			return value.toLowerCase();
+		case 'default':
+			return value === '' ? this.sanitize(modifier.arg || '') : value;
+		case 'format':
+			return formatDate(screenshot.time, modifier.arg, this.timezone === 'local').replace(this.illegalCharacterPattern, this.sanitizeOptions.delimiter);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Remove the delimiters of the sanitizer a truncated value ends with
+	 *
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	trimDelimiters(value) {
+		const delimiter = this.sanitizeOptions.delimiter;
+
+		if (!delimiter) {
+			return value;
+		}
+
+		while (value.endsWith(delimiter)) {
+			value = value.slice(0, value.length - delimiter.length);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Validate the errorshotReporter options from wdio.conf.js. Problems that can be recovered from are returned as
+	 * warnings to be logged, all others are collected and thrown at once.
+	 *
+	 * @returns {string[]} Warnings about options we can recover from
+	 * @throws {Error} Listing every invalid option
+	 */
+	validateOptions() {
+		const options = this.getReporterOptions();
+		const option = name => `'reporterOptions.errorshotReporter.${name}'`;
+		const problems = [];
+		const warnings = [];
+
+		const checkOneOf = (name, values) => {
+			if (options[name] !== undefined && !values.includes(options[name])) {
+				problems.push(`Option ${option(name)} must be one of ${values.map(value => `'${value}'`).join(', ')}, got '${options[name]}'.`);
+			}
+		};
+
+		const checkBoolean = name => {
+			if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+				problems.push(`Option ${option(name)} must be true or false, got '${options[name]}'.`);
+			}
+		};
+
+		Object.keys(options)
+			.filter(name => !this.optionNames.includes(name))
+			.forEach(name => problems.push(`Unknown option ${option(name)}, available options are: ${this.optionNames.join(', ')}.`));
+
+		if (options.template !== undefined && typeof options.template !== 'string') {
+			problems.push(`Option ${option('template')} must be a string.`);
+		} else if (options.template === '') {
+			warnings.push(`Option ${option('template')} is empty, falling back to the default template '${this.defaultFilenameTemplate}'.`);
+		}
+
+		if (options.placeholders !== undefined && (typeof options.placeholders !== 'object' || options.placeholders === null)) {
+			problems.push(`Option ${option('placeholders')} must be an object of functions.`);
+		} else {
+			Object.keys(options.placeholders || {}).forEach(name => {
+				if (!/^\w+$/.test(name)) {
+					problems.push(`Custom placeholder ${option(`placeholders.${name}`)} must only contain letters, digits and underscores.`);
+				}
+
+				if (typeof options.placeholders[name] !== 'function') {
+					problems.push(`Custom placeholder ${option(`placeholders.${name}`)} must be a function.`);
+				}
+			});
+		}
+
+		checkOneOf('collision', this.collisionStrategies);
+		checkOneOf('timezone', this.timezones);
+		checkOneOf('sidecar', this.sidecarFormats.concat([false]));
+		checkOneOf('retryPolicy', this.retryPolicies);
+		checkOneOf('logLevel', this.logLevels);
+		checkOneOf('dedupe', this.dedupeStrategies.concat([false]));
+
+		// A hard link would carry the metadata embedded into the first copy over to the duplicate
+		if (options.dedupe === 'link' && options.embedMetadata === true) {
+			problems.push(`Option ${option('dedupe')} can't be 'link' while ${option('embedMetadata')} is enabled, use 'reference' instead.`);
+		}
+		if (options.junit !== undefined && options.junit !== false
+			&& (typeof options.junit !== 'object' || !options.junit || typeof options.junit.outputDir !== 'string' || !options.junit.outputDir)) {
+			problems.push(`Option ${option('junit')} must be false or an object with the directory of the JUnit XML files as 'outputDir'.`);
+		}
+
+		if (options.allure !== undefined && options.allure !== false
+			&& (typeof options.allure !== 'object' || !options.allure || typeof options.allure.outputDir !== 'string' || !options.allure.outputDir)) {
+			problems.push(`Option ${option('allure')} must be false or an object with the Allure results directory as 'outputDir'.`);
+		} else if (options.allure && options.allure.replaceScreenshots !== undefined && typeof options.allure.replaceScreenshots !== 'boolean') {
+			problems.push(`Option ${option('allure.replaceScreenshots')} must be true or false.`);
+		}
+
+		if (options.visualDiff !== undefined && options.visualDiff !== false
+			&& (typeof options.visualDiff !== 'object' || !options.visualDiff || typeof options.visualDiff.baselineDir !== 'string' || !options.visualDiff.baselineDir)) {
+			problems.push(`Option ${option('visualDiff')} must be false or an object with the directory of the baseline screenshots as 'baselineDir'.`);
+		} else if (options.visualDiff) {
+			Object.keys(options.visualDiff)
+				.filter(name => !Object.keys(this.defaultVisualDiffOptions).includes(name))
+				.forEach(name => problems.push(`Unknown option ${option(`visualDiff.${name}`)}, available options are: baselineDir, threshold.`));
+
+			if (options.visualDiff.threshold !== undefined
+				&& (typeof options.visualDiff.threshold !== 'number' || !(options.visualDiff.threshold >= 0 && options.visualDiff.threshold <= 1))) {
+				problems.push(`Option ${option('visualDiff.threshold')} must be a number from 0 to 1.`);
+			}
+		}
+
+		if (options.onRenamed !== undefined && typeof options.onRenamed !== 'function') {
+			problems.push(`Option ${option('onRenamed')} must be a function.`);
+		}
+
+		checkBoolean('manifest');
+		checkBoolean('gallery');
+		checkBoolean('embedMetadata');
+
+		if (options.runId !== undefined && !['string', 'number'].includes(typeof options.runId)) {
+			problems.push(`Option ${option('runId')} must be a string or a number.`);
+		}
+
+		if (options.retention !== undefined) {
+			const retention = options.retention || {};
+
+			Object.keys(retention).forEach(name => {
+				if (['maxAgeDays', 'maxFiles', 'maxTotalMB'].includes(name)) {
+					if (typeof retention[name] !== 'number' || !(retention[name] >= 0)) {
+						problems.push(`Option ${option(`retention.${name}`)} must be a number of at least 0.`);
+					}
+				} else if (name === 'dryRun') {
+					if (typeof retention.dryRun !== 'boolean') {
+						problems.push(`Option ${option('retention.dryRun')} must be true or false.`);
+					}
+				} else {
+					problems.push(`Unknown option ${option(`retention.${name}`)}, available options are: maxAgeDays, maxFiles, maxTotalMB, dryRun.`);
+				}
+			});
+		}
+
+		if (options.logFile !== undefined && typeof options.logFile !== 'boolean' && (typeof options.logFile !== 'string' || !options.logFile)) {
+			problems.push(`Option ${option('logFile')} must be true, false or a filename.`);
+		} else if (options.logFile && !this.config.outputDir) {
+			warnings.push(`Option ${option('logFile')} requires the WebdriverIO 'outputDir' option, logging to the console only.`);
+		}
+
+		if (options.sanitize !== undefined) {
+			const sanitize = options.sanitize || {};
+
+			Object.keys(sanitize).forEach(name => {
+				if (name === 'transliterate' || name === 'unicode') {
+					if (typeof sanitize[name] !== 'boolean') {
+						problems.push(`Option ${option(`sanitize.${name}`)} must be true or false.`);
+					}
+				} else if (name === 'delimiter') {
+					if (typeof sanitize.delimiter !== 'string' || /[\\/<>:"|?*%.]/.test(sanitize.delimiter)) {
+						problems.push(`Option ${option('sanitize.delimiter')} must be a string without path separators, dots or characters that are illegal in filenames.`);
+					}
+				} else if (name === 'case') {
+					if (!['lower', 'upper', 'preserve'].includes(sanitize.case)) {
+						problems.push(`Option ${option('sanitize.case')} must be one of 'lower', 'upper', 'preserve', got '${sanitize.case}'.`);
+					}
+				} else if (name === 'maxLength') {
+					if (!Number.isInteger(sanitize.maxLength) || sanitize.maxLength < 32 || sanitize.maxLength > 255) {
+						problems.push(`Option ${option('sanitize.maxLength')} must be a number of bytes between 32 and 255.`);
+					}
+				} else {
+					problems.push(`Unknown option ${option(`sanitize.${name}`)}, available options are: transliterate, unicode, delimiter, case, maxLength.`);
+				}
+			});
+		}
+
+		if (typeof options.template !== 'string' || options.template) {
+			this.validateFilenameTemplate(this.getOptionFilenameTemplate(), Object.keys(options.placeholders || {}))
+				.forEach(problem => problems.push(`Option ${option('template')} ${problem}`));
+		}
+
+		if (options.rules !== undefined && !Array.isArray(options.rules)) {
+			problems.push(`Option ${option('rules')} must be an array of rules.`);
+		} else {
+			(options.rules || []).forEach((rule, index) => this.validateRule(rule, Object.keys(options.placeholders || {}))
+				.forEach(problem => problems.push(`Option ${option(`rules[${index}]`)} ${problem}`)));
+		}
+
+		if (options.userScreenshots !== undefined && typeof options.userScreenshots !== 'boolean'
+			&& (typeof options.userScreenshots !== 'object' || !options.userScreenshots
+				|| (options.userScreenshots.template !== undefined && (typeof options.userScreenshots.template !== 'string' || !options.userScreenshots.template)))) {
+			problems.push(`Option ${option('userScreenshots')} must be true, false or an object with a non-empty 'template'.`);
+		} else if (options.userScreenshots) {
+			this.validateFilenameTemplate(this.getOptionUserFilenameTemplate(), Object.keys(options.placeholders || {}), true)
+				.forEach(problem => problems.push(`Option ${option('userScreenshots.template')} ${problem}`));
+
+			// Reporters of WebdriverIO v5 and newer only see the WebDriver commands, not the files saveScreenshot writes
+			if (this.config.isWdioReporter) {
+				warnings.push(`Option ${option('userScreenshots')} is only supported by WebdriverIO v4, screenshots taken by tests keep their names.`);
+			}
+		}
+
+		if (problems.length) {
+			throw new Error(`Invalid errorshotReporter options:\n - ${problems.join('\n - ')}`);
+		}
+
+		return warnings;
+	}
+
+	/**
+	 * Check a rule for unknown or invalid conditions and its template
+	 *
+	 * @param {object} rule
+	 * @param {string[]} customNames Names of the custom placeholders
+	 * @returns {string[]} Problems found, empty if the rule is valid
+	 */
+	validateRule(rule, customNames) {
+		if (!rule || typeof rule !== 'object') {
+			return ['must be an object with conditions and a template.'];
+		}
+
+		const problems = [];
+		const conditions = Object.keys(rule).filter(name => name !== 'template');
+		const isPattern = pattern => {
+			if (pattern instanceof RegExp) {
+				return true;
+			}
+
+			try {
+				return typeof pattern === 'string' && !!new RegExp(pattern);
+			} catch (err) {
+				return false;
+			}
+		};
+
+		conditions
+			.filter(name => !this.ruleConditionNames.includes(name))
+			.forEach(name => problems.push(`has the unknown condition '${name}', available conditions are: ${this.ruleConditionNames.join(', ')}.`));
+
+		if (!conditions.length) {
+			problems.push('needs at least one condition.');
+		}
+
+		if (rule.spec !== undefined && (![].concat(rule.spec).length || ![].concat(rule.spec).every(glob => typeof glob === 'string' && glob))) {
+			problems.push(`condition 'spec' must be a glob or an array of globs.`);
+		}
+
+		['suite', 'title'].filter(name => rule[name] !== undefined && !isPattern(rule[name]))
+			.forEach(name => problems.push(`condition '${name}' must be a regular expression.`));
+
+		if (rule.capabilities !== undefined && (!rule.capabilities || typeof rule.capabilities !== 'object')) {
+			problems.push(`condition 'capabilities' must be an object of capability values or regular expressions.`);
+		}
+
+		if (rule.template === false) {
+			return problems;
+		}
+
+		if (typeof rule.template !== 'string' || !rule.template) {
+			problems.push(`must have a template, or false to keep the original name.`);
+		} else {
+			this.validateFilenameTemplate(rule.template, customNames).forEach(problem => problems.push(`template ${problem}`));
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Check a filename template for unknown placeholders, broken modifiers, illegal characters, absolute paths
+	 * and whether it can produce unique names
+	 *
+	 * @param {string} template
+	 * @param {string[]} customPlaceholderNames
+	 * @param {boolean} [isUserTemplate] Whether the template names screenshots taken by tests, the only ones with a label
+	 * @returns {string[]} Problems completing the sentence "Option 'template' ..."
+	 */
+	validateFilenameTemplate(template, customPlaceholderNames, isUserTemplate = false) {
+		if (typeof template !== 'string') {
+			return [];
+		}
+
+		const knownNames = this.placeholderNames.filter(name => isUserTemplate || name !== 'label').concat(customPlaceholderNames);
+		const uniqueNames = this.uniquePlaceholderNames.concat(customPlaceholderNames);
+		const pattern = this.placeholderPattern;
+		const problems = [];
+		const usedNames = [];
+		let match;
+
+		while ((match = pattern.exec(template)) !== null) {
+			const name = match[1];
+			let modifiers = [];
+
+			usedNames.push(name);
+
+			if (name === 'label' && !isUserTemplate) {
+				problems.push(`uses the placeholder '${match[0]}', which is only available in the template of 'userScreenshots'.`);
+			} else if (!knownNames.includes(name)) {
+				problems.push(`uses the unknown placeholder '${match[0]}', available placeholders are: ${knownNames.join(', ')}.`);
+			}
+
+			try {
+				modifiers = this.parsePlaceholderModifiers(match[2]);
+			} catch (err) {
+				problems.push(`uses the placeholder '${match[0]}' with an invalid modifier. ${err.message}.`);
+			}
+
+			// The index is counted once the rest of the name is known, long after modifiers have been applied
+			if (name === 'index' && match[2]) {
+				problems.push(`uses the placeholder '${match[0]}' with modifiers, '%index%' can't be modified.`);
+			}
+
+			modifiers.forEach(modifier => {
+				if (modifier.name === 'truncate' && !/^[1-9]\d*$/.test(modifier.arg || '')) {
+					problems.push(`uses the modifier 'truncate' of placeholder '${match[0]}' which requires a positive length, e.g. '%${name}|truncate:60%'.`);
+				}
+
+				if (modifier.name === 'format' && !this.datePlaceholders.includes(name)) {
+					problems.push(`uses the modifier 'format' of placeholder '${match[0]}' which can only be used with: ${this.datePlaceholders.join(', ')}.`);
+				}
+
+				if (modifier.name === 'format' && !modifier.arg) {
+					problems.push(`uses the modifier 'format' of placeholder '${match[0]}' which requires a pattern, e.g. '%${name}|format:YYYYMMDD-HHmmss%'.`);
+				}
+
+				const illegalArgCharacters = ['default', 'format'].includes(modifier.name) ? (modifier.arg || '').match(this.illegalCharacterPattern) : null;
+
+				if (illegalArgCharacters) {
+					problems.push(`uses the modifier '${modifier.name}' of placeholder '${match[0]}' with characters that are illegal on common filesystems: ` +
+						`${illegalArgCharacters.map(char => JSON.stringify(char)).join(', ')}.`);
+				}
+			});
+		}
+
+		const staticText = template.replace(this.placeholderPattern, '');
+		const illegalCharacters = staticText.match(this.illegalCharacterPattern);
+
+		if (illegalCharacters) {
+			problems.push(`contains characters that are illegal on common filesystems: ${illegalCharacters.map(char => JSON.stringify(char)).join(', ')}.`);
+		}
+
+		if (/^([\\/]|[a-zA-Z]:)/.test(template)) {
+			problems.push('must be a path relative to the screenshotPath, not an absolute path.');
+		}
+
+		if (template.split(/[\\/]+/).includes('..')) {
+			problems.push(`must not contain '..' segments, screenshots always stay inside the screenshotPath.`);
+		}
+
+		if (!usedNames.some(name => uniqueNames.includes(name))) {
+			problems.push(`can't produce unique names, add at least one of: ${uniqueNames.map(name => `%${name}%`).join(', ')}.`);
+		}
+
+		return problems;
+	}
+
+}
+
+/**
+ * Required name by WebdriverIO
+ */
+ErrorshotReporter.reporterName = 'errorshotReporter';
+
+/**
+ * Check if the reporter is created by WebdriverIO v5 or newer, which passes a single object with the reporter
+ * options and the output options of the runner instead of the base reporter and the config
+ *
+ * @param {object} baseReporter
+ * @param {object} config
+ * @returns {boolean}
+ */
+ErrorshotReporter.isWdioReporterOptions = function(baseReporter, config) {
+	return config === undefined && !!baseReporter && typeof baseReporter === 'object'
+		&& ['logFile', 'stdout', 'writeStream'].some(name => baseReporter.hasOwnProperty(name));
+};
+
+/**
+ * Returns the adapter for the class based reporter API of WebdriverIO v5 and newer, built on top of '@wdio/reporter'
+ * which is only required once needed
+ *
+ * @returns {function}
+ * @throws {Error} If '@wdio/reporter' is not installed
+ */
+ErrorshotReporter.getWdioReporterClass = function() {
+	if (!ErrorshotReporter.WdioReporter) {
+		let WDIOReporter;
+
+		try {
+			WDIOReporter = require('@wdio/reporter').default;
+		} catch (err) {
+			throw new Error(`wdio-errorshot-reporter needs the package '@wdio/reporter' to run with WebdriverIO v5 or newer: ${err.message}`);
+		}
+
+		ErrorshotReporter.WdioReporter = createWdioReporterAdapter(WDIOReporter, ErrorshotReporter);
+	}
+
+	return ErrorshotReporter.WdioReporter;
+};
+
+/**
+ * Read the metadata that has been embedded into a screenshot with the 'embedMetadata' option
+ *
+ * @param {string} filepath
+ * @returns {{title: string, spec: string, browser: string, runId: string, error: string}}
+ */
+ErrorshotReporter.readScreenshotMetadata = function(filepath) {
+	const texts = pngText.readTextChunks(fs.readFileSync(filepath));
+	const metadata = {};
+
+	Object.keys(PNG_METADATA_KEYWORDS).forEach(key => {
+		if (texts.hasOwnProperty(PNG_METADATA_KEYWORDS[key])) {
+			metadata[key] = texts[PNG_METADATA_KEYWORDS[key]];
+		}
+	});
+
+	return metadata;
+};
+
+/**
+ * WebdriverIO v5 and newer load reporters from the default export
+ */
+ErrorshotReporter.default = ErrorshotReporter;
 
 /**
  * Expose Custom Reporter
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Remove a directory with everything in it. 'fs.rmSync' and the recursive 'fs.rmdirSync' don't exist on every
+ * Node version we support.
+ *
+ * @param {string} dirpath
+ */
+function removeDir(dirpath) {
+	fs.readdirSync(dirpath).forEach(name => {
+		const filepath = path.join(dirpath, name);
+
+		if (fs.lstatSync(filepath).isDirectory()) {
+			removeDir(filepath);
+		} else {
+			fs.unlinkSync(filepath);
+		}
+	});
+
+	fs.rmdirSync(dirpath);
+}
+
+/**
+ * Give every test of the current describe block its own temporary directory and remove it afterwards
+ *
+ * @param {function} setup Receives the path of the directory before each test
+ */
+function useTmpDir(setup) {
+	let tmpDir;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'errorshot-'));
+		setup(tmpDir);
+	});
+
+	afterEach(function() {
+		removeDir(tmpDir);
+	});
+}
+
+exports = module.exports = useTmpDir;
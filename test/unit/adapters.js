@@ -0,0 +1,263 @@
+// Require modules
+const assert = require('chai').assert;
+const events = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ErrorshotReporter = require('../../lib/wdio-errorshot-reporter.js');
+const createWdioReporterAdapter = require('../../lib/adapters/wdio-reporter.js');
+const useTmpDir = require('../helpers/tmp-dir.js');
+
+// 1x1 pixel PNG as returned by the WebDriver screenshot endpoint
+const screenshotBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+/**
+ * The parts of the '@wdio/reporter' base class the adapter relies on
+ */
+class WDIOReporter extends events.EventEmitter {
+	constructor(options) {
+		super();
+		this.options = options;
+	}
+
+	get isSynchronised() {
+		return true;
+	}
+}
+
+// Poll until no rename of the reporter is pending anymore
+const waitForRenames = (reporter, cb) => {
+	if (!reporter.isSynchronised) {
+		return setImmediate(() => waitForRenames(reporter, cb));
+	}
+
+	cb();
+};
+
+describe('adapters ::', function () {
+	describe('isWdioReporterOptions()', function() {
+		const tests = [
+			{ given: [{ logFile: '/logs/wdio-0-0-errorshot-reporter.log' }], expected: true, description: 'Should detect the options of WebdriverIO v5 and newer' },
+			{ given: [{ stdout: true, writeStream: {} }], expected: true, description: 'Should detect reporters writing to stdout' },
+			{ given: [{}, { screenshotPath: 'errorShots' }], expected: false, description: 'Should not touch the base reporter and config of WebdriverIO v4' },
+			{ given: [{ logFile: 'foo' }, {}], expected: false, description: 'Should not be fooled by a base reporter with a logFile' }
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(ErrorshotReporter.isWdioReporterOptions.apply(null, test.given), test.expected);
+			});
+		});
+
+		it('Should return the adapter when loaded by WebdriverIO v5 or newer', function() {
+			ErrorshotReporter.WdioReporter = createWdioReporterAdapter(WDIOReporter, ErrorshotReporter);
+
+			const reporter = new ErrorshotReporter({ logFile: path.join(os.tmpdir(), 'errorshot.log'), logLevel: 'silent' });
+
+			delete ErrorshotReporter.WdioReporter;
+
+			assert.instanceOf(reporter, WDIOReporter);
+			assert.instanceOf(reporter.errorshot, ErrorshotReporter);
+		});
+	});
+
+	describe('createWdioReporterAdapter()', function() {
+		const ErrorshotWdioReporter = createWdioReporterAdapter(WDIOReporter, ErrorshotReporter);
+
+		let tmpDir;
+		let reporter;
+
+		const takeScreenshot = () => reporter.onAfterCommand({
+			cid: '0-0',
+			method: 'GET',
+			endpoint: '/session/1/screenshot',
+			body: {},
+			result: { value: screenshotBase64 }
+		});
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			reporter = new ErrorshotWdioReporter({
+				logFile: path.join(tmpDir, 'wdio-0-0-errorshot-reporter.log'),
+				outputDir: tmpDir,
+				screenshotPath: path.join(tmpDir, 'errorShots'),
+				template: '%browser%/%parent%-%title%',
+				manifest: false,
+				gallery: false,
+				logLevel: 'silent'
+			});
+
+			reporter.onRunnerStart({ cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.onSuiteStart({ cid: '0-0', title: 'Login', file: path.join(process.cwd(), 'test', 'login.js') });
+			reporter.onTestStart({ cid: '0-0', title: 'should log in' });
+		});
+
+		it('Should pass our own options on and leave those of the runner out', function() {
+			assert.equal(reporter.errorshot.filenameTemplate, '%browser%/%parent%-%title%');
+			assert.equal(reporter.errorshot.config.screenshotPath, path.join(tmpDir, 'errorShots'));
+		});
+
+		it('Should warn that screenshots taken by tests keep their names', function() {
+			assert.deepEqual(reporter.errorshot.validateOptions(), []);
+
+			reporter.errorshot.config.reporterOptions.errorshotReporter.userScreenshots = true;
+
+			assert.lengthOf(reporter.errorshot.validateOptions(), 1);
+			assert.include(reporter.errorshot.validateOptions()[0], 'only supported by WebdriverIO v4');
+		});
+
+		it('Should rename screenshots taken after the test has failed', function(done) {
+			reporter.onTestFail({ cid: '0-0', title: 'should log in', error: { message: 'expected true', stack: 'Error: expected true' } });
+			takeScreenshot();
+
+			assert.isFalse(reporter.isSynchronised);
+
+			waitForRenames(reporter, () => {
+				const filepath = path.join(tmpDir, 'errorShots', 'chrome', 'login-should-log-in.png');
+
+				assert.deepEqual(fs.readFileSync(filepath), Buffer.from(screenshotBase64, 'base64'));
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), ['chrome']);
+				done();
+			});
+		});
+
+		it('Should ignore screenshots of passing tests and elements', function() {
+			takeScreenshot();
+
+			reporter.onTestFail({ cid: '0-0', title: 'should log in', error: { message: 'expected true' } });
+			reporter.onAfterCommand({ cid: '0-0', method: 'GET', endpoint: '/session/1/element/2/screenshot', result: { value: screenshotBase64 } });
+
+			assert.isFalse(fs.existsSync(path.join(tmpDir, 'errorShots')));
+		});
+
+		it('Should record the commands of the worker', function() {
+			reporter.onAfterCommand({ cid: '0-0', method: 'POST', endpoint: '/session/1/url', body: { url: 'https://example.com' } });
+
+			assert.deepEqual(reporter.errorshot.commands['0-0'], [{ method: 'POST', path: '/session/1/url', data: { url: 'https://example.com' } }]);
+		});
+
+		it('Should report the worker as ended on runner end', function() {
+			const summaries = [];
+
+			reporter.errorshot.on('errorshot:summary', summary => summaries.push(summary));
+			reporter.onRunnerEnd({ cid: '0-0' });
+
+			assert.lengthOf(summaries, 1);
+			assert.isTrue(reporter.errorshot.hasEnded);
+		});
+	});
+
+	describe('multiple workers', function() {
+		const ErrorshotWdioReporter = createWdioReporterAdapter(WDIOReporter, ErrorshotReporter);
+
+		let tmpDir;
+
+		// Every worker of WebdriverIO v5 and newer has its own reporter, all of them share the screenshotPath
+		const startWorker = (cid, options) => {
+			const worker = new ErrorshotWdioReporter(Object.assign({
+				logFile: path.join(tmpDir, `wdio-${cid}-errorshot-reporter.log`),
+				outputDir: tmpDir,
+				screenshotPath: path.join(tmpDir, 'errorShots'),
+				template: 'shot_%cid%_%title%',
+				logLevel: 'silent'
+			}, options));
+
+			worker.onRunnerStart({ cid: cid, capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			worker.onSuiteStart({ cid: cid, title: 'Login', file: path.join(process.cwd(), 'test', 'login.js') });
+			worker.onTestStart({ cid: cid, title: 'should log in' });
+
+			return worker;
+		};
+
+		const failTest = (worker, cid, cb) => {
+			worker.onTestFail({ cid: cid, title: 'should log in', error: { message: 'expected true' } });
+			worker.onAfterCommand({ cid: cid, method: 'GET', endpoint: '/session/1/screenshot', body: {}, result: { value: screenshotBase64 } });
+
+			waitForRenames(worker, cb);
+		};
+
+		const readManifestPaths = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorShots', 'errorshots.json'), 'utf8'))
+			.screenshots.map(entry => entry.path);
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+		});
+
+		it('Should keep the errorshots of other workers in the manifest and gallery', function(done) {
+			const first = startWorker('0-0');
+
+			failTest(first, '0-0', () => {
+				first.onRunnerEnd({ cid: '0-0' });
+
+				const second = startWorker('0-1');
+
+				second.onTestPass({ cid: '0-1', title: 'should log in' });
+				second.onRunnerEnd({ cid: '0-1' });
+
+				assert.deepEqual(readManifestPaths(), ['shot_0-0_should-log-in.png']);
+				assert.include(fs.readFileSync(path.join(tmpDir, 'errorShots', 'index.html'), 'utf8'), 'shot_0-0_should-log-in.png');
+				done();
+			});
+		});
+
+		it('Should share a run key that tells launchers with the same process id apart', function() {
+			const first = startWorker('0-0');
+			const second = startWorker('0-1');
+
+			assert.equal(first.errorshot.config.runKey, second.errorshot.config.runKey);
+			assert.match(first.errorshot.config.runKey, /^[0-9a-f]{16}$/);
+			assert.equal(startWorker('0-0', { runId: 42 }).errorshot.config.runKey, '42');
+		});
+
+		it('Should wait for the lock of another worker before updating the manifest', function(done) {
+			const first = startWorker('0-0');
+
+			failTest(first, '0-0', () => {
+				const lockPath = path.join(tmpDir, 'errorShots', '.errorshot.lock');
+				const started = Date.now();
+
+				// Left behind by a worker that died while holding it, it is taken over once stale
+				fs.writeFileSync(lockPath, '');
+				fs.utimesSync(lockPath, new Date(started - 9900), new Date(started - 9900));
+				first.onRunnerEnd({ cid: '0-0' });
+
+				assert.isAtLeast(Date.now() - started, 50);
+				assert.deepEqual(readManifestPaths(), ['shot_0-0_should-log-in.png']);
+				assert.isFalse(fs.existsSync(lockPath));
+				done();
+			});
+		});
+
+		it('Should replace the manifest of a previous run', function() {
+			fs.mkdirSync(path.join(tmpDir, 'errorShots'));
+			fs.writeFileSync(path.join(tmpDir, 'errorShots', 'errorshots.json'), JSON.stringify({
+				run: 'previous',
+				screenshots: [{ path: 'shot_0-1_old.png', cid: '0-1' }]
+			}));
+
+			const worker = startWorker('0-0');
+
+			worker.onRunnerEnd({ cid: '0-0' });
+
+			assert.deepEqual(readManifestPaths(), []);
+		});
+
+		it('Should only prune before the first worker of a run', function(done) {
+			const first = startWorker('0-0', { retention: { maxFiles: 0 } });
+
+			failTest(first, '0-0', () => {
+				first.onRunnerEnd({ cid: '0-0' });
+				startWorker('0-1', { retention: { maxFiles: 0 } });
+
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'errorShots', 'shot_0-0_should-log-in.png')));
+
+				startWorker('0-0', { retention: { maxFiles: 0 }, runId: 'next' });
+
+				assert.isFalse(fs.existsSync(path.join(tmpDir, 'errorShots', 'shot_0-0_should-log-in.png')));
+				done();
+			});
+		});
+	});
+});
@@ -1,7 +1,10 @@
 // Require modules
 const chai = require('chai');
+const crypto = require('crypto');
 const fs = require('fs');
 const mockfs = require('mock-fs');
+const path = require('path');
+const useTmpDir = require('../helpers/tmp-dir.js');
 
 chai.use(require('chai-string'));
 const assert = chai.assert;
@@ -11,6 +14,7 @@ const assert = chai.assert;
  */
 const config = {
 	screenshotPath: 'errorShots',
+	logLevel: 'silent',
 	reporterOptions: {
 		errorshotReporter: {
 			template: '%capId%_%timestamp%_%parent%-%title%'
@@ -22,6 +26,41 @@ const config = {
 const dateObject = new Date();
 const dateString = dateObject.toJSON().replace(/:/g, '-');
 
+// Placeholders that stay empty when no capabilities or spec have been recorded for a worker
+const emptyContextPlaceholders = {
+	browserVersion: '',
+	platform: '',
+	deviceName: '',
+	cid: '',
+	specFile: '',
+	specDir: '',
+	retry: '0',
+	label: '',
+	hash: ''
+};
+
+// Collect the console output until the returned function restores the console and hands the messages over
+const captureConsole = () => {
+	const messages = [];
+	const consoleLogOriginal = console.log; // eslint-disable-line no-console
+
+	console.log = message => messages.push(message); // eslint-disable-line no-console
+
+	return () => {
+		console.log = consoleLogOriginal; // eslint-disable-line no-console
+		return messages;
+	};
+};
+
+// Poll until no rename of the reporter is pending anymore
+const waitForRenames = (reporter, cb) => {
+	if (!reporter.isSynchronised) {
+		return setImmediate(() => waitForRenames(reporter, cb));
+	}
+
+	cb();
+};
+
 /**
  * Module initialization
  */
@@ -34,6 +73,7 @@ const reporter = new ErrorshotReporter(baseReporter, config, {});
 const reporterWithEmptyOptions = new ErrorshotReporter(baseReporter, {});
 const reporterWithEmptyTemplate = new ErrorshotReporter(baseReporter, {
 	screenshotPath: 'errorShots',
+	logLevel: 'silent',
 	reporterOptions: {errorshotReporter: {template: ''}}
 });
 
@@ -133,14 +173,15 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 					parent: 'parent',
 					title: 'title'
 				},
-				expected: {
+				expected: Object.assign({}, emptyContextPlaceholders, {
 					capId: 'chrome',
 					browser: 'chrome',
 					browserName: 'chrome',
 					timestamp: dateString,
 					parent: 'parent',
-					title: 'title'
-				},
+					title: 'title',
+					suitePath: 'parent'
+				}),
 				description: 'Should be able to find a browser name from default filename format'
 			},
 			{
@@ -150,14 +191,15 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 					parent: 'parent',
 					title: 'title'
 				},
-				expected: {
+				expected: Object.assign({}, emptyContextPlaceholders, {
 					capId: 'chrome',
 					browser: 'chrome',
 					browserName: 'chrome',
 					timestamp: dateString,
 					parent: 'parent',
-					title: 'title'
-				},
+					title: 'title',
+					suitePath: 'parent'
+				}),
 				description: 'Should be able to find a browser name from non-default filename format'
 			},
 			{
@@ -167,14 +209,15 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 					parent: 'parent',
 					title: 'title'
 				},
-				expected: {
+				expected: Object.assign({}, emptyContextPlaceholders, {
 					capId: 'unknown_browser',
 					browser: 'unknown_browser',
 					browserName: 'unknown_browser',
 					timestamp: dateString,
 					parent: 'parent',
-					title: 'title'
-				},
+					title: 'title',
+					suitePath: 'parent'
+				}),
 				description: 'Should not be able to find a browser name'
 			},
 			{
@@ -184,14 +227,15 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 					parent: 'parent text here',
 					title: 'title text here'
 				},
-				expected: {
+				expected: Object.assign({}, emptyContextPlaceholders, {
 					capId: 'chrome',
 					browser: 'chrome',
 					browserName: 'chrome',
 					timestamp: dateString,
 					parent: 'parent-text-here',
-					title: 'title-text-here'
-				},
+					title: 'title-text-here',
+					suitePath: 'parent-text-here'
+				}),
 				description: 'Should slugify (lowercase and no spaces) parent and title'
 			},
 		];
@@ -201,6 +245,176 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 				assert.deepEqual(reporter.getPlaceholderLookup(test.given), test.expected);
 			});
 		});
+
+		it('Should prefer the recorded capabilities over the filename', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+			reporter.emit('runner:start', {
+				cid: '0-1',
+				capabilities: {
+					browserName: 'Safari',
+					browserVersion: '11.1',
+					platformName: 'macOS 10.13'
+				}
+			});
+
+			const lookup = reporter.getPlaceholderLookup({
+				cid: '0-1',
+				filename: 'ERROR_chrome_12345_67890.png',
+				time: dateObject,
+				parent: 'parent',
+				title: 'title'
+			});
+
+			assert.equal(lookup.browser, 'safari');
+			assert.equal(lookup.capId, 'safari');
+			assert.equal(lookup.browserVersion, '111');
+			assert.equal(lookup.platform, 'macos-1013');
+			assert.equal(lookup.cid, '0-1');
+		});
+
+		it('Should fall back to the runner map attached to the screenshot event', function() {
+			const lookup = reporter.getPlaceholderLookup({
+				cid: '0-2',
+				runner: { '0-2': { browserName: 'firefox', version: '58' } },
+				filename: 'custom-browser-name_12345_67890.png',
+				time: dateObject,
+				parent: 'parent',
+				title: 'title'
+			});
+
+			assert.equal(lookup.browser, 'firefox');
+			assert.equal(lookup.browserVersion, '58');
+		});
+	});
+
+	describe('getCustomPlaceholderLookup()', function() {
+		const screenshot = {
+			cid: '0-0',
+			filename: 'ERROR_chrome_12345_67890.png',
+			time: dateObject,
+			parent: 'parent',
+			title: 'PROJ-123 Should log in'
+		};
+
+		it('Should resolve and sanitize custom placeholders', function() {
+			const config = {
+				screenshotPath: 'errorShots',
+				reporterOptions: {
+					errorshotReporter: {
+						template: '%jira%_%title%',
+						placeholders: {
+							jira: screenshot => screenshot.title.split(' ')[0],
+							build: (screenshot, context, config) => `Build ${config.build}/${context.cid}`,
+							empty: () => undefined
+						}
+					}
+				},
+				build: 42
+			};
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			assert.deepEqual(reporter.getCustomPlaceholderLookup(screenshot, reporter.getScreenshotContext(screenshot)), {
+				jira: 'proj-123',
+				build: 'build-420-0',
+				empty: ''
+			});
+			assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), 'proj-123_proj-123-should-log-in');
+		});
+
+		it('Should resolve to an empty string when a custom placeholder throws', function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: {placeholders: {broken: () => { throw new Error('broken'); }}}}
+			});
+
+			assert.deepEqual(reporter.getCustomPlaceholderLookup(screenshot, {}), { broken: '' });
+		});
+
+		it('Should return an empty object without custom placeholders', function() {
+			assert.deepEqual(reporter.getCustomPlaceholderLookup(screenshot, {}), {});
+		});
+	});
+
+	describe('handleEventRunnerStart()', function() {
+		it('Should record the capabilities keyed by cid', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+			const capabilities = { browserName: 'chrome' };
+
+			assert.isTrue(reporter.handleEventRunnerStart({ cid: '0-0', capabilities: capabilities }));
+			assert.deepEqual(reporter.capabilities, { '0-0': capabilities });
+		});
+
+		it('Should ignore runner events without cid or capabilities', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			assert.isFalse(reporter.handleEventRunnerStart({ capabilities: {} }));
+			assert.isFalse(reporter.handleEventRunnerStart({ cid: '0-0' }));
+			assert.deepEqual(reporter.capabilities, {});
+		});
+	});
+
+	describe('handleEventSuiteStart() / handleEventSuiteEnd()', function() {
+		it('Should track the suite hierarchy and spec file per worker', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login', file: '/project/test/login.spec.js' });
+			reporter.emit('suite:start', { cid: '0-0', title: 'with password' });
+			reporter.emit('suite:start', { cid: '0-1', title: 'Checkout' });
+
+			assert.deepEqual(reporter.suites, { '0-0': ['Login', 'with password'], '0-1': ['Checkout'] });
+			assert.equal(reporter.specFiles['0-0'], '/project/test/login.spec.js');
+
+			reporter.emit('suite:end', { cid: '0-0', title: 'with password' });
+			assert.deepEqual(reporter.suites['0-0'], ['Login']);
+		});
+
+		it('Should ignore suite events without cid', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			assert.isFalse(reporter.handleEventSuiteStart({ title: 'Login' }));
+			assert.isFalse(reporter.handleEventSuiteEnd({ cid: '0-0' }));
+		});
+	});
+
+	describe('getPlaceholderLookup() with test context', function() {
+		it('Should expose spec file, spec dir and the full suite path', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+			const specFile = path.join(process.cwd(), 'test', 'specs', 'login.spec.js');
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [specFile] });
+			reporter.emit('suite:start', { cid: '0-0', title: '' });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login page' });
+			reporter.emit('suite:start', { cid: '0-0', title: 'With Password' });
+
+			const lookup = reporter.getPlaceholderLookup({
+				cid: '0-0',
+				filename: 'ERROR_chrome_12345_67890.png',
+				time: dateObject,
+				parent: 'With Password',
+				title: 'title'
+			});
+
+			assert.equal(lookup.specFile, 'login-spec');
+			assert.equal(lookup.specDir, 'test-specs');
+			assert.equal(lookup.suitePath, 'login-page_with-password');
+			assert.equal(lookup.cid, '0-0');
+		});
+	});
+
+	describe('getDeviceNameFromCapabilities()', function() {
+		it('Should read the Appium device name', function() {
+			assert.equal(reporter.getDeviceNameFromCapabilities({ deviceName: 'iPhone X' }), 'iPhone X');
+		});
+
+		it('Should read the chrome mobile emulation device name', function() {
+			assert.equal(reporter.getDeviceNameFromCapabilities({
+				'goog:chromeOptions': { mobileEmulation: { deviceName: 'Pixel 2' } }
+			}), 'Pixel 2');
+		});
+
+		it('Should return an empty string without a device', function() {
+			assert.equal(reporter.getDeviceNameFromCapabilities({ browserName: 'chrome' }), '');
+		});
 	});
 
 	describe('buildScreenshotFilepath()', function() {
@@ -235,6 +449,82 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 		it(`Should add the '.png' extension to the final string`, function() {
 			assert.endsWith(reporter.getScreenshotName(screenshot), '.png');
 		});
+
+		it('Should keep directory segments of the template', function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: 'errorShots',
+				reporterOptions: {errorshotReporter: {template: '%browser%/%parent%/%title%'}}
+			});
+
+			assert.equal(reporter.getScreenshotName(screenshot), 'chrome/parent/title.png');
+		});
+
+		it('Should never let a placeholder value escape the screenshot path', function() {
+			// Absolute templates and '..' segments are rejected by the constructor, so the template is set afterwards
+			const reporter = new ErrorshotReporter(baseReporter, config);
+			reporter.filenameTemplate = '/%parent%/../%title%';
+
+			assert.equal(reporter.getScreenshotName(Object.assign({}, screenshot, {
+				parent: '../../etc',
+				title: '/passwd'
+			})), 'etc/passwd.png');
+		});
+
+		it(`Should sanitize placeholder values according to the 'sanitize' option`, function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: 'errorShots',
+				reporterOptions: {errorshotReporter: {template: '%parent%_%title%', sanitize: {delimiter: '_', case: 'preserve'}}}
+			});
+
+			assert.equal(reporter.getScreenshotName(Object.assign({}, screenshot, {
+				parent: 'Über uns',
+				title: 'Should show the Größe'
+			})), 'Ueber_uns_Should_show_the_Groesse.png');
+		});
+
+		it('Should replace values without any allowed character by a hash', function() {
+			assert.match(reporter.sanitize('画面'), /^[0-9a-f]{8}$/);
+			assert.equal(reporter.sanitize(''), '');
+		});
+
+		it('Should prefix Windows reserved names', function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: 'errorShots',
+				reporterOptions: {errorshotReporter: {template: '%parent%/%title%'}}
+			});
+
+			assert.equal(reporter.getScreenshotName(Object.assign({}, screenshot, {parent: 'con', title: 'nul'})), '_con/_nul.png');
+		});
+
+		it(`Should limit every segment to 'sanitize.maxLength' bytes`, function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: 'errorShots',
+				reporterOptions: {errorshotReporter: {template: '%parent%/%title%', sanitize: {maxLength: 64}}}
+			});
+			const segments = reporter.getScreenshotName(Object.assign({}, screenshot, {
+				parent: 'lorem ipsum '.repeat(20),
+				title: 'dolor sit amet '.repeat(20)
+			})).split('/');
+
+			assert.isAtMost(Buffer.byteLength(segments[0]), 64);
+			assert.isAtMost(Buffer.byteLength(segments[1]), 64 - reporter.reservedFilenameBytes + '.png'.length);
+			assert.match(segments[1], /-[0-9a-f]{8}\.png$/);
+		});
+	});
+
+	describe('normalizeScreenshotName()', function() {
+		const tests = [
+			{ given: 'foo/bar', expected: 'foo/bar', description: 'Should keep regular directory segments' },
+			{ given: 'foo\\bar', expected: 'foo/bar', description: 'Should convert backslashes into segments' },
+			{ given: '/foo//bar/', expected: 'foo/bar', description: 'Should drop empty segments and leading slashes' },
+			{ given: '../foo/./bar/..', expected: 'foo/bar', description: 'Should drop current and parent directory segments' }
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(reporter.normalizeScreenshotName(test.given), test.expected);
+			});
+		});
 	});
 
 	describe('handleEventRunnerScreenshot()', function() {
@@ -309,16 +599,177 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 		});
 	});
 
-	describe('replaceFilenameTemplatePlaceholders()', function() {
-		const config = {
-			screenshotPath: 'errorShots',
-			reporterOptions: {
-				errorshotReporter: {
-					template: '%capId%_%notexisting%_%parent%-%title%'
+	describe('renameScreenshot() into nested directories', function() {
+		let tmpDir;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'old.png'), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+		});
+
+		it('Should create missing directories of the new path', function(done) {
+			const filepathNew = path.join(tmpDir, 'chrome', 'login', 'new.png');
+
+			reporter.renameScreenshot(path.join(tmpDir, 'old.png'), filepathNew, err => {
+				assert.isNull(err);
+				assert.isTrue(fs.existsSync(filepathNew));
+				done();
+			});
+		});
+
+		it('Should still fail when the old screenshot does not exist', function(done) {
+			reporter.renameScreenshot(path.join(tmpDir, 'missing.png'), path.join(tmpDir, 'sub', 'new.png'), err => {
+				assert.equal(err.code, 'ENOENT');
+				done();
+			});
+		});
+	});
+
+	describe('replaceIndexPlaceholder()', function() {
+		it('Should count per resolved name starting at 1', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			assert.equal(reporter.replaceIndexPlaceholder('foo_%index%'), 'foo_1');
+			assert.equal(reporter.replaceIndexPlaceholder('bar_%index%'), 'bar_1');
+			assert.equal(reporter.replaceIndexPlaceholder('foo_%index%'), 'foo_2');
+		});
+
+		it('Should leave names without the placeholder untouched', function() {
+			assert.equal(reporter.replaceIndexPlaceholder('foo'), 'foo');
+		});
+	});
+
+	describe('getOptionCollisionStrategy()', function() {
+		it(`Should return 'reporterOptions.errorshotReporter.collision' from wdio.conf.js`, function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				reporterOptions: {errorshotReporter: {collision: 'skip'}}
+			});
+
+			assert.equal(reporter.getOptionCollisionStrategy(), 'skip');
+		});
+
+		it('Should fallback to the default strategy', function() {
+			assert.equal(reporterWithEmptyOptions.getOptionCollisionStrategy(), 'suffix');
+		});
+	});
+
+	describe('isExistingPath()', function() {
+		beforeEach(function() {
+			mockfs({
+				'errorShots': {
+					'taken.png': new Buffer([8, 6, 7, 5, 3, 0, 9])
 				}
-			}
-		};
+			});
+		});
+
+		afterEach(function () {
+			mockfs.restore();
+		});
+
+		it('Should tell existing and missing paths apart without throwing', function() {
+			assert.isTrue(reporter.isExistingPath('errorShots/taken.png'));
+			assert.isFalse(reporter.isExistingPath('errorShots/free.png'));
+		});
+	});
+
+	describe('resolveFilepathCollision()', function() {
+		let tmpDir;
+
+		const createReporter = collision => new ErrorshotReporter(baseReporter, {
+			screenshotPath: tmpDir,
+			reporterOptions: {errorshotReporter: {collision: collision}}
+		});
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'taken.png'), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+		});
+
+		it(`Should append a suffix with the 'suffix' strategy`, function() {
+			const reporter = createReporter('suffix');
+
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'free.png')), path.join(tmpDir, 'free.png'));
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'taken.png')), path.join(tmpDir, 'taken-1.png'));
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'taken.png')), path.join(tmpDir, 'taken-2.png'));
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'free.png')), path.join(tmpDir, 'free-1.png'));
+		});
+
+		it(`Should keep the path with the 'overwrite' strategy`, function() {
+			const reporter = createReporter('overwrite');
+
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'taken.png')), path.join(tmpDir, 'taken.png'));
+		});
+
+		it(`Should return null for taken paths with the 'skip' strategy`, function() {
+			const reporter = createReporter('skip');
+
+			assert.isNull(reporter.resolveFilepathCollision(path.join(tmpDir, 'taken.png')));
+			assert.equal(reporter.resolveFilepathCollision(path.join(tmpDir, 'free.png')), path.join(tmpDir, 'free.png'));
+			assert.isNull(reporter.resolveFilepathCollision(path.join(tmpDir, 'free.png')));
+		});
+	});
+
+	describe('isSynchronised', function() {
+		let tmpDir;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+		});
+
+		it('Should report as unsynchronised until the rename has settled', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			assert.isTrue(reporter.isSynchronised);
+
+			reporter.renameScreenshot(path.join(tmpDir, 'ERROR_chrome_1.png'), path.join(tmpDir, 'new.png'), () => {
+				setImmediate(() => {
+					assert.isTrue(reporter.isSynchronised);
+					done();
+				});
+			});
+
+			assert.isFalse(reporter.isSynchronised);
+		});
+
+		it('Should settle the rename even if another reporter throws when it is announced', function(done) {
+			const reporter = new ErrorshotReporter({ handleEvent: () => { throw new Error('broken reporter'); } }, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%', manifest: false, gallery: false, logLevel: 'silent'}}
+			});
+
+			reporter.emit('runner:screenshot', { filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'should-log-in.png')));
+				done();
+			});
+		});
+
+		it('Should write the manifest again when the last rename settles after the run has ended', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%'}}
+			});
+
+			reporter.emit('runner:screenshot', { filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('end');
+
+			waitForRenames(reporter, () => {
+				const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorshots.json'), 'utf8'));
+				assert.equal(manifest.screenshots[0].path, 'should-log-in.png');
+				done();
+			});
+		});
+	});
+
+	describe('replaceFilenameTemplatePlaceholders()', function() {
+		// Unknown placeholders are rejected by the constructor, so the template is set afterwards
 		const reporterWithNotExistingPlaceholder = new ErrorshotReporter(baseReporter, config, {});
+		reporterWithNotExistingPlaceholder.filenameTemplate = '%capId%_%notexisting%_%parent%-%title%';
 
 		const screenshots = [
 			{
@@ -352,6 +803,1535 @@ describe('Core :: wdio-errorshot-reporter.js', function() {
 		});
 	});
 
+	describe('replaceFilenameTemplatePlaceholders() with modifiers', function() {
+		const screenshot = {
+			filename: 'ERROR_chrome_12345_67890.png',
+			time: new Date(Date.UTC(2018, 1, 3, 4, 5, 6, 7)),
+			parent: 'parent text here',
+			title: 'a very long title text here'
+		};
+
+		const createReporter = (template, timezone) => new ErrorshotReporter(baseReporter, {
+			screenshotPath: 'errorShots',
+			reporterOptions: {errorshotReporter: {template: template, timezone: timezone}}
+		});
+
+		const tests = [
+			{ given: '%title|truncate:11%', expected: 'a-very-long', description: 'Should truncate values' },
+			{ given: '%title|truncate:12%', expected: 'a-very-long', description: 'Should trim dashes after truncating' },
+			{ given: '%parent|upper%', expected: 'PARENT-TEXT-HERE', description: 'Should uppercase values' },
+			{ given: '%browserVersion|default:na%', expected: 'na', description: 'Should fall back to a default for empty values' },
+			{ given: '%browser|default:na%', expected: 'chrome', description: 'Should not use the default for filled values' },
+			{ given: '%timestamp|format:YYYYMMDD-HHmmss%', expected: '20180203-040506', description: 'Should format the timestamp' },
+			{ given: '%title|truncate:6|upper%', expected: 'A-VERY', description: 'Should chain modifiers' },
+			{ given: '%browserVersion|default:N/A?%', expected: 'na', description: 'Should sanitize defaults' },
+			{ given: '%timestamp|format:YYYY-MM-DD HH:mm%', expected: '2018-02-03 04-05', description: 'Should replace illegal characters of formatted timestamps' }
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				// Some templates can't produce unique names on their own and would be rejected by the constructor
+				const reporter = createReporter('%title%');
+				reporter.filenameTemplate = test.given;
+
+				assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), test.expected);
+			});
+		});
+
+		it('Should trim the delimiter of the sanitizer after truncating', function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: 'errorShots',
+				reporterOptions: {errorshotReporter: {template: '%title|truncate:12%', sanitize: { delimiter: '__' }}}
+			});
+
+			assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), 'a__very__lon');
+			reporter.filenameTemplate = '%title|truncate:13%';
+			assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), 'a__very__long');
+			reporter.filenameTemplate = '%title|truncate:15%';
+			assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), 'a__very__long');
+		});
+
+		it('Should not touch not existing placeholders', function() {
+			const reporter = createReporter('%title%');
+			reporter.filenameTemplate = '%notexisting|upper%';
+
+			assert.equal(reporter.replaceFilenameTemplatePlaceholders(screenshot), '%notexisting|upper%');
+		});
+
+		it('Should format the timestamp in local time on request', function() {
+			const expected = String(screenshot.time.getHours()).padStart(2, '0');
+			assert.equal(createReporter('%timestamp|format:HH%', 'local').replaceFilenameTemplatePlaceholders(screenshot), expected);
+		});
+
+		it('Should throw a configuration error for unknown modifiers', function() {
+			assert.throws(() => createReporter('%title|reverse%'), /Unknown placeholder modifier 'reverse'/);
+		});
+
+		it('Should throw a configuration error for invalid modifier arguments', function() {
+			assert.throws(() => createReporter('%title|truncate:abc%'), /requires a positive length/);
+			assert.throws(() => createReporter('%title|format:YYYY%'), /can only be used with: timestamp/);
+			assert.throws(() => createReporter('%timestamp|format%'), /requires a pattern/);
+			assert.throws(() => createReporter('%timestamp|format:YYYY-MM-DD HH:mm%'), /modifier 'format' of placeholder '%timestamp\|format:YYYY-MM-DD HH:mm%' with characters that are illegal on common filesystems: ":"/);
+			assert.throws(() => createReporter('%title|default:a?b%'), /modifier 'default' of placeholder '%title\|default:a\?b%' with characters that are illegal/);
+		});
+	});
+
+	describe('writeManifest()', function() {
+		let tmpDir;
+		let reporter;
+
+		const readManifest = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorshots.json'), 'utf8'));
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+
+			reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: {template: '%browser%/%parent%-%title%', logLevel: 'silent'}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+		});
+
+		it('Should write an entry for every renamed screenshot on runner end', function(done) {
+			reporter.emit('runner:screenshot', {
+				cid: '0-0',
+				filename: 'ERROR_chrome_1.png',
+				time: dateObject,
+				parent: 'Login',
+				title: 'should log in'
+			});
+			reporter.emit('test:fail', { cid: '0-0', title: 'should log in', err: { message: 'expected true', stack: 'Error: expected true' } });
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', { cid: '0-0' });
+
+				assert.deepEqual(readManifest(), {
+					screenshots: [{
+						originalName: 'ERROR_chrome_1.png',
+						path: 'chrome/login-should-log-in.png',
+						spec: 'test/login.js',
+						suites: ['Login'],
+						title: 'should log in',
+						cid: '0-0',
+						capabilities: { browserName: 'chrome' },
+						retry: 0,
+						error: { message: 'expected true', stack: 'Error: expected true' },
+						timestamp: dateObject.toJSON()
+					}]
+				});
+				done();
+			});
+		});
+
+		it('Should leave out screenshots that failed to rename', function(done) {
+			reporter.emit('runner:screenshot', {
+				cid: '0-0',
+				filename: 'ERROR_missing.png',
+				time: dateObject,
+				parent: 'Login',
+				title: 'should log in'
+			});
+
+			waitForRenames(reporter, () => {
+				assert.isFalse(reporter.writeManifest());
+				assert.isFalse(fs.existsSync(path.join(tmpDir, 'errorshots.json')));
+				done();
+			});
+		});
+
+		it('Should replace the manifest of a previous run', function() {
+			fs.writeFileSync(path.join(tmpDir, 'errorshots.json'), JSON.stringify({ screenshots: [{ path: 'old.png' }] }));
+
+			assert.isTrue(reporter.writeManifest());
+			assert.deepEqual(readManifest(), { screenshots: [] });
+		});
+
+		it('Should write the gallery next to the manifest', function(done) {
+			reporter.emit('runner:screenshot', {
+				cid: '0-0',
+				filename: 'ERROR_chrome_1.png',
+				time: dateObject,
+				parent: 'Login',
+				title: 'should log in'
+			});
+
+			waitForRenames(reporter, () => {
+				reporter.emit('end');
+
+				const html = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8');
+				assert.include(html, 'src="chrome/login-should-log-in.png"');
+				done();
+			});
+		});
+
+		it(`Should not write a gallery when the 'gallery' option is disabled`, function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {gallery: false}}
+			});
+			fs.writeFileSync(path.join(tmpDir, 'index.html'), '');
+
+			assert.isFalse(reporter.writeGallery());
+		});
+
+		it(`Should not write a manifest when the 'manifest' option is disabled`, function() {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {manifest: false}}
+			});
+			fs.writeFileSync(path.join(tmpDir, 'errorshots.json'), '{}');
+
+			assert.isFalse(reporter.writeManifest());
+		});
+	});
+
+	describe('reportRunSummary()', function() {
+		let tmpDir;
+
+		const createReporter = (logLevel, baseReporter, wdioLogLevel) => {
+			const reporter = new ErrorshotReporter(baseReporter || {}, {
+				screenshotPath: tmpDir,
+				logLevel: wdioLogLevel,
+				reporterOptions: {errorshotReporter: {template: '%browser%/%parent%-%title%', manifest: false, gallery: false, logLevel: logLevel}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('runner:start', { cid: '0-1', capabilities: { browserName: 'firefox' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_2.png' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_3.png', time: dateObject, parent: 'Login', title: 'should log out' });
+			reporter.emit('runner:screenshot', { cid: '0-1', filename: 'ERROR_firefox_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			return reporter;
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), 'png');
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_firefox_1.png'), 'png');
+		});
+
+		it('Should emit the summary of a worker once its renames have settled', function(done) {
+			const reporter = createReporter('silent');
+			const summaries = [];
+
+			reporter.on('errorshot:summary', summary => summaries.push(summary));
+			reporter.emit('runner:end', { cid: '0-0' });
+
+			assert.lengthOf(summaries, 0);
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(summaries, [{
+					cid: '0-0',
+					renamed: 1,
+					skipped: 1,
+					failed: 1,
+					groups: [{
+						spec: 'test/login.js',
+						browser: 'chrome',
+						renamed: [path.join(tmpDir, 'chrome', 'login-should-log-in.png')],
+						skipped: [path.join(tmpDir, 'ERROR_chrome_2.png')],
+						failed: [path.join(tmpDir, 'ERROR_chrome_3.png')]
+					}]
+				}]);
+				done();
+			});
+		});
+
+		it('Should print the summary', function(done) {
+			const restoreConsole = captureConsole();
+			const reporter = createReporter('info');
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', { cid: '0-1' });
+
+				const messages = restoreConsole();
+				const summaries = messages.filter(message => message.includes('Errorshots:'));
+
+				assert.lengthOf(summaries, 1);
+				assert.include(summaries[0], '[0-1] INFO Errorshots: 1 renamed, 0 skipped, 0 failed');
+				assert.include(summaries[0], '  test/login.js (firefox)');
+				assert.include(summaries[0], `    renamed  ${path.join(tmpDir, 'firefox', 'login-should-log-in.png')}`);
+				done();
+			});
+		});
+
+		it(`Should print the summary even if the logLevel of WebdriverIO is 'silent'`, function(done) {
+			const restoreConsole = captureConsole();
+			const reporter = createReporter(undefined, undefined, 'silent');
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', { cid: '0-1' });
+
+				const messages = restoreConsole();
+
+				assert.lengthOf(messages, 1);
+				assert.include(messages[0], '[0-1] INFO Errorshots: 1 renamed, 0 skipped, 0 failed');
+				done();
+			});
+		});
+
+		it(`Should not print the summary if the logLevel option is 'silent'`, function(done) {
+			const restoreConsole = captureConsole();
+			const reporter = createReporter('silent', undefined, 'info');
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', { cid: '0-1' });
+
+				assert.lengthOf(restoreConsole(), 0);
+				done();
+			});
+		});
+
+		it('Should pass the summary on to the other reporters', function(done) {
+			const events = [];
+			const reporter = createReporter('silent', { handleEvent: (name, payload) => events.push([name, payload]) });
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', { cid: '0-1' });
+
+				const summaries = events.filter(event => event[0] === 'errorshot:summary');
+
+				assert.lengthOf(summaries, 1);
+				assert.equal(summaries[0][1].renamed, 1);
+				done();
+			});
+		});
+	});
+
+	describe('announceRename()', function() {
+		let tmpDir;
+
+		const createReporter = options => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: Object.assign({template: '%browser%/%parent%-%title%', manifest: false, gallery: false}, options)}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+
+			return reporter;
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), 'png');
+		});
+
+		it(`Should emit 'errorshot:renamed' and call 'onRenamed' once the screenshot has its final name`, function(done) {
+			const infos = [];
+			const reporter = createReporter({
+				onRenamed: info => {
+					assert.isTrue(fs.existsSync(info.newPath));
+					infos.push(info);
+				}
+			});
+
+			reporter.on('errorshot:renamed', info => infos.push(info));
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.lengthOf(infos, 2);
+				assert.strictEqual(infos[0], infos[1]);
+				assert.deepEqual(infos[0], {
+					oldPath: path.join(tmpDir, 'ERROR_chrome_1.png'),
+					newPath: path.join(tmpDir, 'chrome', 'login-should-log-in.png'),
+					cid: '0-0',
+					spec: 'test/login.js',
+					suites: ['Login'],
+					parent: 'Login',
+					title: 'should log in',
+					capabilities: { browserName: 'chrome' },
+					retry: 0,
+					duplicateOf: null
+				});
+				done();
+			});
+		});
+
+		it('Should not announce failed renames', function(done) {
+			const infos = [];
+			const reporter = createReporter({ onRenamed: info => infos.push(info) });
+
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_missing.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.lengthOf(infos, 0);
+				done();
+			});
+		});
+
+		it(`Should survive an 'onRenamed' callback that throws`, function(done) {
+			const reporter = createReporter({ onRenamed: () => { throw new Error('broken'); } });
+
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'chrome', 'login-should-log-in.png')));
+				done();
+			});
+		});
+	});
+
+	describe('attachToJunit()', function() {
+		let tmpDir;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.mkdirSync(path.join(tmpDir, 'junit'));
+			fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'junit', 'WDIO.xunit.chrome.0-0.xml'), path.join(tmpDir, 'junit', 'WDIO.xunit.chrome.0-0.xml'));
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), 'png');
+		});
+
+		it('Should attach the renamed screenshots to the JUnit reports once the run has ended', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: {template: '%parent%-%title%', logLevel: 'silent', junit: {outputDir: path.join(tmpDir, 'junit')}}}
+			});
+			const readReport = () => fs.readFileSync(path.join(tmpDir, 'junit', 'WDIO.xunit.chrome.0-0.xml'), 'utf8');
+			const attachment = `[[ATTACHMENT|${path.join(tmpDir, 'login-should-log-in.png')}]]`;
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('runner:end', { cid: '0-0' });
+			reporter.emit('end');
+
+			waitForRenames(reporter, () => {
+				assert.include(readReport(), attachment);
+				assert.equal(readReport().split(attachment).length, 2);
+				done();
+			});
+		});
+
+		it('Should not touch JUnit reports by default', function() {
+			assert.deepEqual(reporter.attachToJunit(), []);
+		});
+	});
+
+	describe('attachToAllure()', function() {
+		let tmpDir;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.mkdirSync(path.join(tmpDir, 'allure-results'));
+			fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'allure', '1c0e2b9a-login-result.json'), path.join(tmpDir, 'allure-results', '1c0e2b9a-login-result.json'));
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), 'png');
+		});
+
+		it('Should attach the renamed screenshots to the Allure results once the run has ended', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: {
+					template: '%parent%-%title%',
+					allure: {outputDir: path.join(tmpDir, 'allure-results'), replaceScreenshots: true}
+				}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('end');
+
+			waitForRenames(reporter, () => {
+				const result = JSON.parse(fs.readFileSync(path.join(tmpDir, 'allure-results', '1c0e2b9a-login-result.json'), 'utf8'));
+
+				assert.deepEqual(result.attachments.map(attachment => attachment.name), ['Browser log', 'login-should-log-in.png']);
+				done();
+			});
+		});
+
+		it('Should not touch Allure results by default', function() {
+			assert.deepEqual(reporter.attachToAllure(), []);
+		});
+	});
+
+	describe('userScreenshots', function() {
+		let tmpDir;
+
+		const createReporter = options => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: path.join(tmpDir, 'errorShots'),
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: Object.assign({template: '%parent%-%title%', manifest: false, gallery: false}, options)}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('test:start', { cid: '0-0', title: 'should log in' });
+
+			return reporter;
+		};
+
+		const takeScreenshots = reporter => {
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: path.join(tmpDir, 'shots', 'Login Form.png'), time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.mkdirSync(path.join(tmpDir, 'shots'));
+			fs.mkdirSync(path.join(tmpDir, 'errorShots'));
+			fs.writeFileSync(path.join(tmpDir, 'shots', 'Login Form.png'), 'png');
+			fs.writeFileSync(path.join(tmpDir, 'errorShots', 'ERROR_chrome_1.png'), 'png');
+		});
+
+		it('Should leave screenshots taken by the test alone by default', function(done) {
+			const reporter = createReporter({});
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'shots', 'Login Form.png')));
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), ['login-should-log-in.png']);
+				done();
+			});
+		});
+
+		it('Should rename screenshots taken by the test with their own template', function(done) {
+			const reporter = createReporter({ userScreenshots: { template: '%parent%/%title%_%label%' } });
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				assert.isFalse(fs.existsSync(path.join(tmpDir, 'shots', 'Login Form.png')));
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'errorShots', 'login', 'should-log-in_login-form.png')));
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'errorShots', 'login-should-log-in.png')));
+				done();
+			});
+		});
+
+		it(`Should keep screenshots taken by the test with the 'deleteOnPass' policy`, function(done) {
+			const reporter = createReporter({ userScreenshots: true, retryPolicy: 'deleteOnPass' });
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				reporter.emit('test:pass', { cid: '0-0', title: 'should log in' });
+
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), ['login-should-log-in_login-form.png']);
+				done();
+			});
+		});
+	});
+
+	describe('rules', function() {
+		let tmpDir;
+
+		const rules = [
+			{ spec: 'test/specs/smoke/**', template: 'smoke/%title%' },
+			{ capabilities: { 'goog:chromeOptions.mobileEmulation.deviceName': /^iPhone/ }, template: '%deviceName%/%parent%-%title%' },
+			{ suite: /^Legacy/, title: 'old', template: false }
+		];
+
+		const createReporter = (spec, capabilities) => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: path.join(tmpDir, 'errorShots'),
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: {template: '%parent%-%title%', rules: rules, manifest: false, gallery: false}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: capabilities || { browserName: 'chrome' }, specs: [path.join(process.cwd(), spec)] });
+
+			return reporter;
+		};
+
+		const takeScreenshot = (reporter, parent, title) => {
+			reporter.emit('suite:start', { cid: '0-0', title: parent });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: parent, title: title });
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.mkdirSync(path.join(tmpDir, 'errorShots'));
+			fs.writeFileSync(path.join(tmpDir, 'errorShots', 'ERROR_chrome_1.png'), 'png');
+		});
+
+		it('Should use the template of a rule matching the spec', function(done) {
+			const reporter = createReporter(path.join('test', 'specs', 'smoke', 'login.js'));
+
+			takeScreenshot(reporter, 'Login', 'should log in');
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'errorShots', 'smoke', 'should-log-in.png')));
+				done();
+			});
+		});
+
+		it('Should use the template of a rule matching the capabilities', function() {
+			const reporter = createReporter(path.join('test', 'specs', 'login.js'), {
+				browserName: 'chrome',
+				'goog:chromeOptions': { mobileEmulation: { deviceName: 'iPhone X' } }
+			});
+
+			takeScreenshot(reporter, 'Login', 'should log in');
+
+			assert.equal(reporter.getScreenshotTemplate({ cid: '0-0', filename: 'ERROR_chrome_1.png', parent: 'Login', title: 'should log in' }), '%deviceName%/%parent%-%title%');
+		});
+
+		it(`Should fall back to the 'template' option if no rule matches`, function() {
+			const reporter = createReporter(path.join('test', 'specs', 'login.js'));
+
+			reporter.emit('suite:start', { cid: '0-0', title: 'Legacy checkout' });
+
+			assert.equal(reporter.getScreenshotTemplate({ cid: '0-0', filename: 'ERROR_chrome_1.png', parent: 'Legacy checkout', title: 'should pay' }), '%parent%-%title%');
+			assert.equal(reporter.getOptionFilenameTemplate(), '%parent%-%title%');
+		});
+
+		it('Should keep the original name if the rule has no template', function(done) {
+			const reporter = createReporter(path.join('test', 'specs', 'login.js'));
+
+			takeScreenshot(reporter, 'Legacy checkout', 'should hold the old cart');
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), ['ERROR_chrome_1.png']);
+				assert.equal(reporter.getRunSummary('0-0').renamed, 0);
+				done();
+			});
+		});
+	});
+
+	describe('deduplicateErrorshot()', function() {
+		let tmpDir;
+
+		const createReporter = (dedupe, options) => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: Object.assign({template: '%parent%-%title%', dedupe: dedupe, gallery: false}, options)}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+
+			return reporter;
+		};
+
+		const takeScreenshots = reporter => {
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_2.png', time: dateObject, parent: 'Login', title: 'should log out' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_3.png', time: dateObject, parent: 'Login', title: 'should show the form' });
+		};
+
+		const readManifest = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorshots.json'), 'utf8')).screenshots;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), 'error page');
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_2.png'), 'error page');
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_3.png'), 'form');
+		});
+
+		it(`Should replace identical screenshots with a hard link with 'link'`, function(done) {
+			const reporter = createReporter('link');
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				const stats = fs.statSync(path.join(tmpDir, 'login-should-log-out.png'));
+
+				assert.equal(stats.ino, fs.statSync(path.join(tmpDir, 'login-should-log-in.png')).ino);
+				assert.equal(stats.nlink, 2);
+				assert.equal(fs.statSync(path.join(tmpDir, 'login-should-show-the-form.png')).nlink, 1);
+				done();
+			});
+		});
+
+		it(`Should reference the first copy in the manifest with 'reference'`, function(done) {
+			const reporter = createReporter('reference');
+			const infos = [];
+
+			reporter.on('errorshot:renamed', info => infos.push(info));
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', {});
+
+				const entries = readManifest();
+
+				assert.isFalse(fs.existsSync(path.join(tmpDir, 'login-should-log-out.png')));
+				assert.equal(entries[0].hash, entries[1].hash);
+				assert.notProperty(entries[0], 'duplicateOf');
+				assert.equal(entries[1].duplicateOf, 'login-should-log-in.png');
+				assert.notProperty(entries[2], 'duplicateOf');
+				assert.equal(infos[1].duplicateOf, path.join(tmpDir, 'login-should-log-in.png'));
+				assert.equal(reporter.getIntegrationErrorshots()[1].filepath, path.resolve(tmpDir, 'login-should-log-in.png'));
+				done();
+			});
+		});
+
+		it('Should let retention prune the sidecars of duplicates that only reference the first copy', function(done) {
+			const retention = { maxAgeDays: 365 };
+			const reporter = createReporter('reference', { sidecar: 'txt', retention: retention });
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', {});
+
+				const history = JSON.parse(fs.readFileSync(path.join(tmpDir, '.errorshot-history.json'), 'utf8')).screenshots;
+
+				assert.deepEqual(history[1], { path: 'login-should-log-out.png', files: ['login-should-log-out.png', 'login-should-log-out.txt'] });
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'login-should-log-out.txt')));
+
+				retention.maxFiles = 0;
+				createReporter('reference', { sidecar: 'txt', retention: retention });
+
+				assert.deepEqual(fs.readdirSync(tmpDir).filter(file => !file.startsWith('.')), ['errorshots.json']);
+				done();
+			});
+		});
+
+		it('Should keep a screenshot that duplicates still reference when it is discarded', function(done) {
+			const reporter = createReporter('reference', { retryPolicy: 'keepLast' });
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				reporter.discardErrorshot(reporter.errorshots[0]);
+
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'login-should-log-in.png')));
+				done();
+			});
+		});
+
+		it('Should only hash screenshots for templates using \'%hash%\'', function() {
+			const reporter = createReporter(false);
+			const getContentHash = reporter.getContentHash;
+			const screenshot = { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' };
+			let hashed = 0;
+
+			reporter.getContentHash = filepath => {
+				hashed++;
+				return getContentHash.call(reporter, filepath);
+			};
+
+			assert.equal(reporter.getPlaceholderLookup(screenshot).hash, '');
+			reporter.filenameTemplate = '%hash|upper%_%title%';
+			assert.lengthOf(reporter.getPlaceholderLookup(screenshot).hash, 8);
+			assert.equal(hashed, 1);
+		});
+
+		it('Should leave screenshots alone by default', function(done) {
+			const reporter = createReporter(false);
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				assert.equal(fs.statSync(path.join(tmpDir, 'login-should-log-out.png')).nlink, 1);
+				assert.notProperty(reporter.errorshots[0].entry, 'hash');
+				done();
+			});
+		});
+
+		it(`Should offer a short content hash as '%hash%' placeholder`, function(done) {
+			const reporter = createReporter(false, { template: '%hash%_%title%' });
+			const hash = crypto.createHash('sha1').update('error page').digest('hex').slice(0, 8);
+
+			takeScreenshots(reporter);
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.existsSync(path.join(tmpDir, `${hash}_should-log-in.png`)));
+				assert.isTrue(fs.existsSync(path.join(tmpDir, `${hash}_should-log-out.png`)));
+				done();
+			});
+		});
+	});
+
+	describe('writeVisualDiff()', function() {
+		const pngImage = require('../../lib/helpers/png-image.js');
+
+		let tmpDir;
+
+		const image = pixels => pngImage.encodePng({ width: 2, height: 1, data: Buffer.from([].concat.apply([], pixels)) });
+		const white = [255, 255, 255, 255];
+		const black = [0, 0, 0, 255];
+
+		const createReporter = (template, options) => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: path.join(tmpDir, 'errorShots'),
+				logLevel: 'silent',
+				reporterOptions: {errorshotReporter: Object.assign({
+					template: template,
+					visualDiff: { baselineDir: path.join(tmpDir, 'baseline') },
+					gallery: false
+				}, options)}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			return reporter;
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.mkdirSync(path.join(tmpDir, 'errorShots'));
+			fs.mkdirSync(path.join(tmpDir, 'baseline'));
+			fs.writeFileSync(path.join(tmpDir, 'errorShots', 'ERROR_chrome_1.png'), image([white, black]));
+			fs.writeFileSync(path.join(tmpDir, 'baseline', 'login-should-log-in.png'), image([white, white]));
+		});
+
+		it('Should find the baseline by the path the template produces', function(done) {
+			const reporter = createReporter('%parent%-%title%', { sidecar: 'json' });
+
+			waitForRenames(reporter, () => {
+				const diff = pngImage.decodePng(fs.readFileSync(path.join(tmpDir, 'errorShots', 'login-should-log-in.diff.png')));
+				const sidecar = JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorShots', 'login-should-log-in.json'), 'utf8'));
+
+				assert.deepEqual(Array.from(diff.data.slice(4)), [255, 0, 0, 255]);
+				assert.deepEqual(sidecar.visualDiff, { baseline: 'login-should-log-in.png', diff: 'login-should-log-in.diff.png', mismatch: 50 });
+				done();
+			});
+		});
+
+		it('Should find the baseline of the same test in the manifest of the baseline run', function(done) {
+			fs.renameSync(path.join(tmpDir, 'baseline', 'login-should-log-in.png'), path.join(tmpDir, 'baseline', 'login_2018.png'));
+			fs.writeFileSync(path.join(tmpDir, 'baseline', 'errorshots.json'), JSON.stringify({ screenshots: [
+				{ path: 'other.png', spec: 'test/login.js', suites: ['Login'], title: 'should log out', capabilities: { browserName: 'chrome' } },
+				{ path: 'login_2018.png', spec: 'test/login.js', suites: ['Login'], title: 'should log in', capabilities: { browserName: 'chrome' } }
+			] }));
+
+			const reporter = createReporter('%parent%_%timestamp%');
+
+			waitForRenames(reporter, () => {
+				reporter.emit('runner:end', {});
+
+				const entry = JSON.parse(fs.readFileSync(path.join(tmpDir, 'errorShots', 'errorshots.json'), 'utf8')).screenshots[0];
+
+				assert.equal(entry.visualDiff.baseline, 'login_2018.png');
+				assert.equal(entry.visualDiff.mismatch, 50);
+				done();
+			});
+		});
+
+		it('Should skip screenshots without baseline', function(done) {
+			fs.unlinkSync(path.join(tmpDir, 'baseline', 'login-should-log-in.png'));
+
+			const reporter = createReporter('%parent%-%title%');
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), ['login-should-log-in.png']);
+				assert.notProperty(reporter.errorshots[0].entry, 'visualDiff');
+				done();
+			});
+		});
+
+		it('Should delete the diff along with the screenshot of an earlier attempt', function(done) {
+			const reporter = createReporter('%parent%-%title%');
+
+			waitForRenames(reporter, () => {
+				reporter.discardErrorshot(reporter.errorshots[0]);
+
+				assert.deepEqual(fs.readdirSync(path.join(tmpDir, 'errorShots')), []);
+				done();
+			});
+		});
+	});
+
+	describe('retries', function() {
+		let tmpDir;
+
+		const createReporter = retryPolicy => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%_%retry%', retryPolicy: retryPolicy}}
+			});
+
+			reporter.emit('suite:start', { cid: '0-0', title: 'Login' });
+
+			return reporter;
+		};
+
+		// Start an attempt of the test and take a screenshot during it
+		const failAttempt = (reporter, attempt) => {
+			const filename = `ERROR_chrome_${attempt}.png`;
+			fs.writeFileSync(path.join(tmpDir, filename), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+
+			reporter.emit('test:start', { cid: '0-0', title: 'should log in' });
+			reporter.emit('runner:screenshot', { cid: '0-0', filename: filename, time: dateObject, parent: 'Login', title: 'should log in' });
+			reporter.emit('test:fail', { cid: '0-0', title: 'should log in', err: { message: 'flaky' } });
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+		});
+
+		it('Should count the attempts of a test for the retry placeholder', function(done) {
+			const reporter = createReporter();
+
+			failAttempt(reporter, 0);
+			failAttempt(reporter, 1);
+
+			waitForRenames(reporter, () => {
+				assert.sameMembers(fs.readdirSync(tmpDir), ['should-log-in_0.png', 'should-log-in_1.png']);
+				done();
+			});
+		});
+
+		it(`Should only keep the final failing attempt with the 'keepLast' policy`, function(done) {
+			const reporter = createReporter('keepLast');
+
+			failAttempt(reporter, 0);
+
+			waitForRenames(reporter, () => {
+				failAttempt(reporter, 1);
+				failAttempt(reporter, 2);
+
+				waitForRenames(reporter, () => {
+					assert.deepEqual(fs.readdirSync(tmpDir), ['should-log-in_2.png']);
+					assert.deepEqual(reporter.getManifestEntries().map(entry => entry.retry), [2]);
+					done();
+				});
+			});
+		});
+
+		it(`Should delete every attempt once the test passes with the 'deleteOnPass' policy`, function(done) {
+			const reporter = createReporter('deleteOnPass');
+
+			failAttempt(reporter, 0);
+			failAttempt(reporter, 1);
+			reporter.emit('test:start', { cid: '0-0', title: 'should log in' });
+			reporter.emit('test:pass', { cid: '0-0', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(fs.readdirSync(tmpDir), []);
+				assert.deepEqual(reporter.getManifestEntries(), []);
+				done();
+			});
+		});
+
+		it('Should keep the screenshots of other tests when a test passes', function(done) {
+			const reporter = createReporter('deleteOnPass');
+
+			failAttempt(reporter, 0);
+			reporter.emit('test:start', { cid: '0-0', title: 'should log out' });
+			reporter.emit('test:pass', { cid: '0-0', title: 'should log out' });
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(fs.readdirSync(tmpDir), ['should-log-in_0.png']);
+				done();
+			});
+		});
+	});
+
+	describe('enforceRetention()', function() {
+		let tmpDir;
+
+		const day = 24 * 60 * 60 * 1000;
+
+		// Create a file that has been modified the given number of days ago
+		const createFile = (relativePath, daysAgo, size) => {
+			const filepath = path.join(tmpDir, relativePath);
+			const time = new Date(Date.now() - daysAgo * day);
+
+			fs.mkdirSync(path.dirname(filepath), { recursive: true });
+			fs.writeFileSync(filepath, Buffer.alloc(size || 10));
+			fs.utimesSync(filepath, time, time);
+		};
+
+		const createReporter = retention => new ErrorshotReporter(baseReporter, {
+			screenshotPath: tmpDir,
+			reporterOptions: {errorshotReporter: {template: 'shot_%browser%/%title%', sidecar: 'json', retention: retention}}
+		});
+
+		const listFiles = () => require('../../lib/helpers/list-files.js')(tmpDir).map(file => file.path).sort();
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			createFile('shot_chrome/new.png', 0);
+			createFile('shot_chrome/new.json', 0);
+			createFile('shot_chrome/older.png', 2);
+			createFile('shot_firefox/old-1.png', 10);
+			createFile('shot_firefox/old-1.json', 10);
+			createFile('legacy/renamed.png', 20);
+			createFile('legacy/unrelated.png', 30);
+			createFile('notes.txt', 30);
+			fs.writeFileSync(path.join(tmpDir, 'errorshots.json'), JSON.stringify({ screenshots: [{ path: 'legacy/renamed.png' }] }));
+		});
+
+		it('Should delete files older than maxAgeDays along with sidecars and empty directories', function() {
+			createReporter({ maxAgeDays: 5 });
+
+			assert.deepEqual(listFiles(), [
+				'.errorshot-history.json',
+				'errorshots.json',
+				'legacy/unrelated.png',
+				'notes.txt',
+				'shot_chrome/new.json',
+				'shot_chrome/new.png',
+				'shot_chrome/older.png'
+			]);
+		});
+
+		it('Should not delete files that merely resemble the template', function() {
+			createFile('shot_chrome/ERROR_chrome_2018-02-03T04-05-06.789Z.png', 10);
+			createFile('shot_chrome/My Baseline.png', 10);
+			createFile('logo.png', 10);
+			createReporter({ maxAgeDays: 5 });
+
+			assert.includeMembers(listFiles(), ['shot_chrome/ERROR_chrome_2018-02-03T04-05-06.789Z.png', 'shot_chrome/My Baseline.png', 'logo.png']);
+		});
+
+		it('Should only delete sidecars in the configured format', function() {
+			createFile('shot_firefox/old-1.txt', 10);
+			createReporter({ maxAgeDays: 5 });
+
+			assert.notInclude(listFiles(), 'shot_firefox/old-1.json');
+			assert.include(listFiles(), 'shot_firefox/old-1.txt');
+		});
+
+		it('Should only use the manifest if the template could match unrelated files', function() {
+			createFile('my_baseline_image-final.png', 10);
+			createFile('logo.png', 10);
+			new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%', retention: { maxAgeDays: 5 }}}
+			});
+
+			assert.includeMembers(listFiles(), ['my_baseline_image-final.png', 'logo.png', 'shot_firefox/old-1.png']);
+			assert.notInclude(listFiles(), 'legacy/renamed.png');
+		});
+
+		it('Should prune the screenshots of every earlier run since retention has been enabled', function(done) {
+			// A whole run renaming one errorshot, the template alone can't tell our screenshots apart from others
+			const run = (title, retention, cb) => {
+				fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), title);
+
+				const reporter = new ErrorshotReporter(baseReporter, {
+					screenshotPath: tmpDir,
+					reporterOptions: {errorshotReporter: {template: '%browser%/%title%', retention: retention, gallery: false, logLevel: 'silent'}}
+				});
+
+				reporter.emit('runner:screenshot', { cid: '0-0', filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: title });
+				waitForRenames(reporter, () => {
+					reporter.emit('end');
+					cb();
+				});
+			};
+
+			const readHistoryPaths = () => JSON.parse(fs.readFileSync(path.join(tmpDir, '.errorshot-history.json'), 'utf8'))
+				.screenshots.map(entry => entry.path);
+
+			run('run1', { maxAgeDays: 365 }, () => {
+				assert.include(readHistoryPaths(), 'chrome/run1.png');
+
+				run('run2', { maxAgeDays: 365 }, () => {
+					assert.includeMembers(readHistoryPaths(), ['chrome/run1.png', 'chrome/run2.png']);
+
+					createReporter({ maxFiles: 0 });
+
+					assert.notInclude(listFiles(), 'chrome/run1.png');
+					assert.notInclude(listFiles(), 'chrome/run2.png');
+					assert.include(listFiles(), 'legacy/unrelated.png');
+					done();
+				});
+			});
+		});
+
+		it('Should prune the sidecar and diff image of a screenshot that is gone', function() {
+			createFile('shot_chrome/two.txt', 10);
+			createFile('shot_chrome/two.diff.png', 10);
+			fs.writeFileSync(path.join(tmpDir, '.errorshot-history.json'), JSON.stringify({
+				screenshots: [{ path: 'shot_chrome/two.png', files: ['shot_chrome/two.png', 'shot_chrome/two.txt', 'shot_chrome/two.diff.png'] }]
+			}));
+			createReporter({ maxAgeDays: 5 });
+
+			assert.notInclude(listFiles(), 'shot_chrome/two.txt');
+			assert.notInclude(listFiles(), 'shot_chrome/two.diff.png');
+		});
+
+		it('Should keep the screenshots other workers of the run record while pruning', function() {
+			// Another worker ends while this one prunes, the lock is only held to claim and to update the history
+			class RacingReporter extends ErrorshotReporter {
+				deleteRetainedFiles(files) {
+					if (!fs.existsSync(path.join(tmpDir, 'shot_chrome/other.png'))) {
+						createFile('shot_chrome/other.png', 0);
+						fs.writeFileSync(path.join(tmpDir, '.errorshot-history.json'), JSON.stringify({
+							run: 'run-1',
+							screenshots: [{ path: 'shot_chrome/other.png', files: ['shot_chrome/other.png'] }]
+						}));
+					}
+
+					return super.deleteRetainedFiles(files);
+				}
+			}
+
+			new RacingReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				runKey: 'run-1',
+				reporterOptions: {errorshotReporter: {template: 'shot_%browser%/%title%', retention: { maxFiles: 1 }}}
+			});
+
+			const history = JSON.parse(fs.readFileSync(path.join(tmpDir, '.errorshot-history.json'), 'utf8'));
+
+			assert.equal(history.run, 'run-1');
+			assert.includeMembers(history.screenshots.map(entry => entry.path), ['shot_chrome/new.png', 'shot_chrome/other.png']);
+			assert.include(listFiles(), 'shot_chrome/other.png');
+			assert.notInclude(listFiles(), '.errorshot.lock');
+		});
+
+		it('Should keep the newest maxFiles', function() {
+			createReporter({ maxFiles: 1 });
+
+			assert.notInclude(listFiles(), 'shot_chrome/older.png');
+			assert.include(listFiles(), 'shot_chrome/new.png');
+		});
+
+		it('Should keep the newest files within maxTotalMB', function() {
+			createFile('shot_chrome/big.png', 1, 1024 * 1024);
+			createReporter({ maxTotalMB: 1 });
+
+			assert.deepEqual(listFiles().filter(file => file.endsWith('.png')), ['legacy/unrelated.png', 'shot_chrome/new.png']);
+		});
+
+		it('Should only report the files in a dry run', function() {
+			const restoreConsole = captureConsole();
+
+			createReporter({ maxAgeDays: 5, dryRun: true });
+
+			const messages = restoreConsole();
+
+			assert.lengthOf(messages, 2);
+			assert.include(messages[0], 'would delete');
+			assert.lengthOf(listFiles(), 9);
+		});
+
+		it('Should not touch anything without the retention option', function() {
+			createReporter(undefined);
+
+			assert.lengthOf(listFiles(), 9);
+		});
+	});
+
+	describe('getFilenameTemplatePattern()', function() {
+		const createReporter = (template, options) => new ErrorshotReporter(baseReporter, {
+			reporterOptions: {errorshotReporter: Object.assign({template: template}, options)}
+		});
+
+		it('Should match every path the template can produce', function() {
+			const pattern = createReporter('%browser%/%timestamp%_%title%.v1').getFilenameTemplatePattern();
+
+			assert.isTrue(pattern.test('chrome/2018-02-03T04-05-06.789Z_should-log-in.v1.png'));
+			assert.isTrue(pattern.test('unknown_browser/2018-02-03T04-05-06.789Z_should-log-in.v1-2.png'));
+			assert.isFalse(pattern.test('chrome/2018-02-03T04-05-06.789Z_should-log-in.png'));
+			assert.isFalse(pattern.test('chrome/nested/2018-02-03T04-05-06.789Z_should-log-in.v1.png'));
+		});
+
+		it('Should only match values the placeholders can have', function() {
+			const pattern = createReporter('%capId%_%parent%-%title%_%hash%').getFilenameTemplatePattern();
+
+			assert.isTrue(pattern.test('chrome_login-should-log-in_0123abcd.png'));
+			assert.isFalse(pattern.test('chrome_Login-should-log-in_0123abcd.png'));
+			assert.isFalse(pattern.test('chrome_login-should log in_0123abcd.png'));
+			assert.isFalse(pattern.test('chrome_login-should-log-in_final.png'));
+		});
+
+		it('Should follow the sanitize options', function() {
+			const pattern = createReporter('shot_%title%', { sanitize: { delimiter: '+', case: 'upper' } }).getFilenameTemplatePattern();
+
+			assert.isTrue(pattern.test('shot_SHOULD+LOG+IN.png'));
+			assert.isFalse(pattern.test('shot_should+log+in.png'));
+		});
+
+		it('Should not match templates that could produce any name', function() {
+			assert.isNull(createReporter('%title%').getFilenameTemplatePattern());
+			assert.isNull(createReporter('%browser%/%parent%-%title%').getFilenameTemplatePattern());
+			assert.isNull(createReporter('shot_%timestamp|format:YYYY%_%title%').getFilenameTemplatePattern());
+			assert.isNull(createReporter('shot_%jira%_%title%', { placeholders: { jira: () => 'ABC-1' } }).getFilenameTemplatePattern());
+		});
+	});
+
+	describe('handleEventRunnerCommand()', function() {
+		it('Should keep the last commands of each worker', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			for (let i = 0; i < 12; i++) {
+				reporter.emit('runner:command', { cid: '0-0', method: 'POST', uri: { path: `/session/1/element/${i}` }, data: { i: i } });
+			}
+			reporter.emit('runner:command', { cid: '0-1', method: 'GET', uri: { path: '/session/2/url' } });
+
+			assert.lengthOf(reporter.commands['0-0'], 10);
+			assert.deepEqual(reporter.commands['0-0'][0], { method: 'POST', path: '/session/1/element/2', data: { i: 2 } });
+			assert.deepEqual(reporter.commands['0-1'], [{ method: 'GET', path: '/session/2/url', data: {} }]);
+		});
+
+		it('Should redact typed text from the request bodies', function() {
+			const reporter = new ErrorshotReporter(baseReporter, config, {});
+
+			reporter.emit('runner:command', { cid: '0-0', method: 'POST', uri: '/session/1/element/2/value', data: { text: 'secret', value: ['s', 'e'] } });
+			reporter.emit('runner:command', { cid: '0-0', method: 'POST', uri: { path: '/session/1/keys' }, data: { value: ['s'] } });
+			reporter.emit('runner:command', { cid: '0-0', method: 'POST', uri: '/session/1/element', data: { using: 'css selector', value: '#password' } });
+
+			assert.deepEqual(reporter.commands['0-0'][0].data, { text: '[redacted]', value: '[redacted]' });
+			assert.deepEqual(reporter.commands['0-0'][1].data, { value: '[redacted]' });
+			assert.deepEqual(reporter.commands['0-0'][2].data, { using: 'css selector', value: '#password' });
+		});
+
+		it('Should ignore commands without cid', function() {
+			assert.isFalse(reporter.handleEventRunnerCommand({ method: 'GET' }));
+		});
+	});
+
+	describe('writeSidecar()', function() {
+		let tmpDir;
+
+		const createReporter = sidecar => {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%parent%-%title%', sidecar: sidecar}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('runner:command', { cid: '0-0', method: 'POST', uri: { path: '/session/1/element' }, data: { using: 'css selector', value: '#login' } });
+			reporter.emit('runner:screenshot', {
+				cid: '0-0',
+				filename: 'ERROR_chrome_1.png',
+				time: dateObject,
+				parent: 'Login',
+				title: 'should log in'
+			});
+
+			return reporter;
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), new Buffer([8, 6, 7, 5, 3, 0, 9]));
+		});
+
+		it('Should write a json sidecar and update it once the test failed', function(done) {
+			const reporter = createReporter('json');
+
+			waitForRenames(reporter, () => {
+				const filepath = path.join(tmpDir, 'login-should-log-in.json');
+				assert.isNull(JSON.parse(fs.readFileSync(filepath, 'utf8')).error);
+
+				reporter.emit('test:fail', { cid: '0-0', title: 'should log in', err: { message: 'expected true', stack: 'Error: expected true' } });
+
+				const sidecar = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+				assert.equal(sidecar.title, 'should log in');
+				assert.equal(sidecar.spec, 'test/login.js');
+				assert.deepEqual(sidecar.suites, ['Login']);
+				assert.deepEqual(sidecar.error, { message: 'expected true', stack: 'Error: expected true' });
+				assert.deepEqual(sidecar.commands, [{ method: 'POST', path: '/session/1/element', data: { using: 'css selector', value: '#login' } }]);
+				done();
+			});
+		});
+
+		it('Should write a txt sidecar', function(done) {
+			const reporter = createReporter('txt');
+
+			waitForRenames(reporter, () => {
+				assert.include(fs.readFileSync(path.join(tmpDir, 'login-should-log-in.txt'), 'utf8'), 'Title: should log in');
+				done();
+			});
+		});
+
+		it('Should not write sidecars by default', function(done) {
+			const reporter = createReporter(undefined);
+
+			waitForRenames(reporter, () => {
+				assert.deepEqual(fs.readdirSync(tmpDir), ['login-should-log-in.png']);
+				done();
+			});
+		});
+	});
+
+	describe('embedScreenshotMetadata()', function() {
+		let tmpDir;
+
+		// 1x1 pixel PNG
+		const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.writeFileSync(path.join(tmpDir, 'ERROR_chrome_1.png'), png);
+		});
+
+		it('Should embed the metadata and read it back', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%', embedMetadata: true, runId: 'build-42'}}
+			});
+
+			reporter.emit('runner:start', { cid: '0-0', capabilities: { browserName: 'chrome' }, specs: [path.join(process.cwd(), 'test', 'login.js')] });
+			reporter.emit('runner:screenshot', {
+				cid: '0-0',
+				filename: 'ERROR_chrome_1.png',
+				time: dateObject,
+				parent: 'Login',
+				title: 'should log in'
+			});
+
+			waitForRenames(reporter, () => {
+				reporter.emit('test:fail', { cid: '0-0', title: 'should log in', err: { message: 'expected true' } });
+
+				assert.deepEqual(ErrorshotReporter.readScreenshotMetadata(path.join(tmpDir, 'should-log-in.png')), {
+					title: 'should log in',
+					spec: 'test/login.js',
+					browser: 'chrome',
+					runId: 'build-42',
+					error: 'expected true'
+				});
+				done();
+			});
+		});
+
+		it('Should leave the screenshot untouched by default', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				reporterOptions: {errorshotReporter: {template: '%title%'}}
+			});
+
+			reporter.emit('runner:screenshot', { filename: 'ERROR_chrome_1.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				assert.isTrue(fs.readFileSync(path.join(tmpDir, 'should-log-in.png')).equals(png));
+				done();
+			});
+		});
+	});
+
+	describe('validateOptions()', function() {
+		const createReporter = options => new ErrorshotReporter(baseReporter, {
+			screenshotPath: 'errorShots',
+			reporterOptions: {errorshotReporter: options}
+		});
+
+		const tests = [
+			{
+				given: { template: '%title%_%placeholdr%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' uses the unknown placeholder '%placeholdr%'/,
+				description: 'Should reject unknown placeholders'
+			},
+			{
+				given: { template: '%title%_%index|upper%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' uses the placeholder '%index\|upper%' with modifiers, '%index%' can't be modified/,
+				description: 'Should reject modifiers of the index'
+			},
+			{
+				given: { template: '%title%_%label%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' uses the placeholder '%label%', which is only available in the template of 'userScreenshots'/,
+				description: 'Should reject the label outside of the template of screenshots taken by tests'
+			},
+			{
+				given: { rules: [{ title: 'login', template: '%title%_%label%' }] },
+				expected: /'%label%', which is only available in the template of 'userScreenshots'/,
+				description: 'Should reject the label in the template of rules'
+			},
+			{
+				given: { template: '%parent%: %title%?' },
+				expected: /'reporterOptions\.errorshotReporter\.template' contains characters that are illegal on common filesystems: ":", "\?"/,
+				description: 'Should reject illegal characters'
+			},
+			{
+				given: { template: '/tmp/%title%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' must be a path relative to the screenshotPath/,
+				description: 'Should reject absolute paths'
+			},
+			{
+				given: { template: 'C:\\shots\\%title%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' must be a path relative to the screenshotPath/,
+				description: 'Should reject absolute Windows paths'
+			},
+			{
+				given: { template: '../%title%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' must not contain '\.\.' segments/,
+				description: `Should reject '..' segments`
+			},
+			{
+				given: { template: '%browser%_%parent%' },
+				expected: /'reporterOptions\.errorshotReporter\.template' can't produce unique names/,
+				description: 'Should reject templates without a unique placeholder'
+			},
+			{
+				given: { templat: '%title%' },
+				expected: /Unknown option 'reporterOptions\.errorshotReporter\.templat'/,
+				description: 'Should reject unknown options'
+			},
+			{
+				given: { collision: 'rename' },
+				expected: /'reporterOptions\.errorshotReporter\.collision' must be one of 'suffix', 'overwrite', 'skip'/,
+				description: 'Should reject invalid choices'
+			},
+			{
+				given: { gallery: 'yes' },
+				expected: /'reporterOptions\.errorshotReporter\.gallery' must be true or false/,
+				description: 'Should reject invalid booleans'
+			},
+			{
+				given: { placeholders: { jira: 'PROJ' } },
+				expected: /'reporterOptions\.errorshotReporter\.placeholders\.jira' must be a function/,
+				description: 'Should reject custom placeholders that are no functions'
+			},
+			{
+				given: { retention: { maxAgeDays: -1, keep: 3 } },
+				expected: /'reporterOptions\.errorshotReporter\.retention\.maxAgeDays' must be a number[\s\S]*'reporterOptions\.errorshotReporter\.retention\.keep'/,
+				description: 'Should reject invalid retention options'
+			},
+			{
+				given: { sanitize: { delimiter: '/', case: 'title', maxLength: 1000 } },
+				expected: /'reporterOptions\.errorshotReporter\.sanitize\.delimiter' must be a string[\s\S]*'reporterOptions\.errorshotReporter\.sanitize\.case'[\s\S]*'reporterOptions\.errorshotReporter\.sanitize\.maxLength'/,
+				description: 'Should reject invalid sanitize options'
+			},
+			{
+				given: { junit: './junit' },
+				expected: /'reporterOptions\.errorshotReporter\.junit' must be false or an object with the directory of the JUnit XML files as 'outputDir'/,
+				description: 'Should reject a junit option without outputDir'
+			},
+			{
+				given: { allure: { outputDir: './allure-results', replaceScreenshots: 'yes' } },
+				expected: /'reporterOptions\.errorshotReporter\.allure\.replaceScreenshots' must be true or false/,
+				description: 'Should reject invalid allure options'
+			},
+			{
+				given: { userScreenshots: { template: '%parent%_%label%' } },
+				expected: /'reporterOptions\.errorshotReporter\.userScreenshots\.template' can't produce unique names/,
+				description: 'Should validate the template of screenshots taken by the test'
+			},
+			{
+				given: { onRenamed: 'notify' },
+				expected: /'reporterOptions\.errorshotReporter\.onRenamed' must be a function/,
+				description: `Should reject an 'onRenamed' callback that is no function`
+			},
+			{
+				given: { rules: { spec: '**/smoke/**', template: 'smoke/%title%' } },
+				expected: /'reporterOptions\.errorshotReporter\.rules' must be an array of rules/,
+				description: 'Should reject rules that are no array'
+			},
+			{
+				given: { rules: [{ specs: '**/smoke/**', title: '(', template: 'smoke/%parent%' }] },
+				expected: /'reporterOptions\.errorshotReporter\.rules\[0\]' has the unknown condition 'specs'[\s\S]*condition 'title' must be a regular expression[\s\S]*template can't produce unique names/,
+				description: 'Should reject invalid rules'
+			},
+			{
+				given: { rules: [{ template: false }] },
+				expected: /'reporterOptions\.errorshotReporter\.rules\[0\]' needs at least one condition/,
+				description: 'Should reject rules without conditions'
+			},
+			{
+				given: { dedupe: true },
+				expected: /'reporterOptions\.errorshotReporter\.dedupe' must be one of 'link', 'reference', 'false'/,
+				description: 'Should reject invalid dedupe strategies'
+			},
+			{
+				given: { dedupe: 'link', embedMetadata: true },
+				expected: /'reporterOptions\.errorshotReporter\.dedupe' can't be 'link' while 'reporterOptions\.errorshotReporter\.embedMetadata' is enabled/,
+				description: 'Should reject hard links along with embedded metadata'
+			},
+			{
+				given: { visualDiff: { baselineDir: './baseline', threshold: 2, color: 'red' } },
+				expected: /'reporterOptions\.errorshotReporter\.visualDiff\.color'[\s\S]*'reporterOptions\.errorshotReporter\.visualDiff\.threshold' must be a number from 0 to 1/,
+				description: 'Should reject invalid visual diff options'
+			},
+			{
+				given: { visualDiff: true },
+				expected: /'reporterOptions\.errorshotReporter\.visualDiff' must be false or an object with the directory of the baseline screenshots as 'baselineDir'/,
+				description: 'Should reject a visualDiff option without baselineDir'
+			},
+			{
+				given: { logLevel: 'verbose' },
+				expected: /'reporterOptions\.errorshotReporter\.logLevel' must be one of 'trace', 'debug', 'info', 'warn', 'error', 'silent'/,
+				description: 'Should reject invalid log levels'
+			}
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.throws(() => createReporter(test.given), test.expected);
+			});
+		});
+
+		it('Should list every problem at once', function() {
+			assert.throws(() => createReporter({ template: '%foo%', collision: 'x' }), /collision[\s\S]*unknown placeholder[\s\S]*unique names/);
+		});
+
+		it('Should accept custom placeholders as unique placeholders', function() {
+			assert.isTrue(createReporter({ template: '%jira%', placeholders: { jira: () => 'PROJ-1' } }).isInitialized);
+		});
+
+		it('Should accept the default options', function() {
+			assert.isTrue(createReporter({}).isInitialized);
+		});
+
+		it('Should warn about an empty template', function() {
+			const restoreConsole = captureConsole();
+
+			createReporter({ template: '' });
+
+			const messages = restoreConsole();
+
+			assert.lengthOf(messages, 1);
+			assert.include(messages[0], `'reporterOptions.errorshotReporter.template' is empty`);
+		});
+	});
+
+	describe('getOptionLogLevel()', function() {
+		const tests = [
+			{ given: { logLevel: 'silent', reporterOptions: { errorshotReporter: { logLevel: 'debug' } } }, expected: 'debug', description: 'Should prefer the logLevel option' },
+			{ given: { logLevel: 'error' }, expected: 'error', description: 'Should follow the logLevel of WebdriverIO' },
+			{ given: { logLevel: 'verbose' }, expected: 'debug', description: 'Should map the WebdriverIO v4 log levels' },
+			{ given: {}, expected: 'info', description: 'Should fall back to info' }
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(new ErrorshotReporter(baseReporter, test.given).getOptionLogLevel(), test.expected);
+			});
+		});
+	});
+
+	describe('logger', function() {
+		let tmpDir;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+		});
+
+		it('Should prefix failed renames with the cid and log them as errors', function(done) {
+			const reporter = new ErrorshotReporter(baseReporter, {
+				screenshotPath: tmpDir,
+				outputDir: path.join(tmpDir, 'logs'),
+				logLevel: 'error',
+				reporterOptions: { errorshotReporter: { template: '%parent%-%title%', logFile: true } }
+			});
+
+			const restoreConsole = captureConsole();
+
+			reporter.emit('runner:screenshot', { cid: '0-1', filename: 'ERROR_missing.png', time: dateObject, parent: 'Login', title: 'should log in' });
+
+			waitForRenames(reporter, () => {
+				const messages = restoreConsole();
+				const logFile = fs.readFileSync(path.join(tmpDir, 'logs', reporter.defaultLogFilename), 'utf8');
+
+				assert.lengthOf(messages, 1);
+				assert.match(messages[0], /^\[errorshot\] \[0-1\] ERROR Failed to rename screenshot from '.*ERROR_missing\.png'/);
+				assert.include(logFile, messages[0]);
+				done();
+			});
+		});
+	});
+
 	describe('screenshotHasRequiredProperties()', function() {
 		it(`Should pass the required properties check`, function() {
 			assert.isTrue(reporter.screenshotHasRequiredProperties({
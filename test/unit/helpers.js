@@ -27,6 +27,53 @@ describe('helpers ::', function () {
 		});
 	});
 
+	describe('createLogger()', function() {
+		const createLogger = require('../../lib/helpers/create-logger.js');
+
+		const captureLog = (level, cb) => {
+			const messages = [];
+			const consoleLogOriginal = console.log;
+			console.log = message => messages.push(message);
+
+			cb(createLogger({ level: level, file: null, name: 'errorshot' }));
+
+			console.log = consoleLogOriginal;
+
+			return messages;
+		};
+
+		it('Should drop messages below the level', function() {
+			const messages = captureLog('warn', logger => {
+				logger.info('info');
+				logger.warn('warn');
+				logger.error('error');
+			});
+
+			assert.deepEqual(messages, ['[errorshot] WARN warn', '[errorshot] ERROR error']);
+		});
+
+		it('Should log nothing when silent', function() {
+			assert.lengthOf(captureLog('silent', logger => logger.error('error')), 0);
+		});
+
+		it('Should print reports whatever the level is', function() {
+			assert.deepEqual(captureLog('silent', logger => logger.print('summary')), ['[errorshot] INFO summary']);
+		});
+
+		it('Should prefix every line with the cid of the worker', function() {
+			const messages = captureLog('info', logger => logger.forWorker('0-1').info('foo\nbar'));
+
+			assert.deepEqual(messages, ['[errorshot] [0-1] INFO foo\n[errorshot] [0-1] INFO bar']);
+		});
+
+		it('Should print the stack of errors only when debugging', function() {
+			const error = new Error('broken');
+
+			assert.deepEqual(captureLog('info', logger => logger.error('Failed:', error)), ['[errorshot] ERROR Failed: Error: broken']);
+			assert.include(captureLog('debug', logger => logger.error('Failed:', error))[0], 'at ');
+		});
+	});
+
 	describe('slugify()', function() {
 		const slugify = require('../../lib/helpers/slugify.js');
 
@@ -41,5 +88,478 @@ describe('helpers ::', function () {
 				assert.equal(slugify(test.given), test.expected);
 			});
 		});
+
+		it('Should use a custom delimiter and case', function() {
+			assert.equal(slugify('Lorem ipsum-dolor', { delimiter: '_', case: 'upper' }), 'LOREM_IPSUM_DOLOR');
+			assert.equal(slugify('Lorem ipsum', { case: 'preserve' }), 'Lorem-ipsum');
+		});
+
+		it('Should transliterate non-latin text by default', function() {
+			assert.equal(slugify('Über Größe'), 'ueber-groesse');
+			assert.equal(slugify('Вход в систему'), 'vkhod-v-sistemu');
+		});
+
+		it('Should keep unicode letters in unicode mode', function() {
+			assert.equal(slugify('ログイン 画面', { unicode: true, transliterate: false }), 'ログイン-画面');
+		});
+	});
+
+	describe('transliterate()', function() {
+		const transliterate = require('../../lib/helpers/transliterate.js');
+
+		const tests = [
+			{ given: 'Crème brûlée', expected: 'Creme brulee', description: 'Should strip diacritics' },
+			{ given: 'Straße', expected: 'Strasse', description: 'Should replace german special letters' },
+			{ given: 'ログインできること', expected: 'roguindekirukoto', description: 'Should romanize kana' },
+			{ given: 'ちょっと', expected: 'chotto', description: 'Should double the consonant after a small tsu' },
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(transliterate(test.given), test.expected);
+			});
+		});
+	});
+
+	describe('truncateBytes()', function() {
+		const truncateBytes = require('../../lib/helpers/truncate-bytes.js');
+
+		it('Should not touch text within the limit', function() {
+			assert.equal(truncateBytes('lorem-ipsum', 20), 'lorem-ipsum');
+		});
+
+		it('Should truncate and append a hash of the full text', function() {
+			const truncated = truncateBytes('a'.repeat(100), 40);
+
+			assert.isAtMost(Buffer.byteLength(truncated), 40);
+			assert.match(truncated, /^a+-[0-9a-f]{8}$/);
+			assert.notEqual(truncated, truncateBytes('a'.repeat(101), 40));
+		});
+
+		it('Should not split multibyte characters', function() {
+			const truncated = truncateBytes('ü'.repeat(50), 32);
+
+			assert.isAtMost(Buffer.byteLength(truncated), 32);
+			assert.notInclude(truncated, '\ufffd');
+			assert.match(truncated, /^ü+-[0-9a-f]{8}$/);
+		});
+	});
+
+	describe('formatDate()', function() {
+		const formatDate = require('../../lib/helpers/format-date.js');
+		const date = new Date(Date.UTC(2018, 1, 3, 4, 5, 6, 7));
+
+		const tests = [
+			{ given: 'YYYYMMDD-HHmmss', expected: '20180203-040506', description: 'Should replace all date and time tokens' },
+			{ given: 'YY.MM.DD_SSS', expected: '18.02.03_007', description: 'Should support short years and milliseconds' },
+			{ given: 'run-YYYY', expected: 'run-2018', description: 'Should keep text that is not a token' },
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(formatDate(date, test.given), test.expected);
+			});
+		});
+
+		it('Should use the local time zone on request', function() {
+			const expected = String(date.getHours()).padStart(2, '0');
+			assert.equal(formatDate(date, 'HH', true), expected);
+		});
+	});
+
+	describe('renderGallery()', function() {
+		const renderGallery = require('../../lib/helpers/render-gallery.js');
+
+		const entries = [
+			{
+				path: 'chrome/login page/should log in.png',
+				spec: 'test/login.js',
+				suites: ['Login', 'with password'],
+				title: 'should <log> in',
+				capabilities: { browserName: 'chrome' },
+				error: { message: 'expected "true"', stack: 'Error: expected "true"' }
+			},
+			{
+				path: 'firefox/should-log-in.png',
+				spec: 'test/login.js',
+				suites: ['Login', 'with password'],
+				title: 'should log in',
+				capabilities: { browserName: 'firefox' },
+				error: null
+			}
+		];
+
+		const html = renderGallery(entries);
+
+		it('Should link screenshots relatively', function() {
+			assert.include(html, 'src="chrome/login%20page/should%20log%20in.png"');
+			assert.notInclude(html, 'file://');
+		});
+
+		it('Should show the first copy of deduplicated screenshots', function() {
+			const entry = Object.assign({}, entries[1], { path: 'firefox/should-log-out.png', duplicateOf: 'firefox/should-log-in.png' });
+
+			assert.include(renderGallery([entry]), 'src="firefox/should-log-in.png"');
+		});
+
+		it('Should group by spec, suite and browser', function() {
+			assert.equal(html.split('<h2>test/login.js</h2>').length, 2);
+			assert.equal(html.split('<h3>Login › with password</h3>').length, 2);
+			assert.include(html, 'data-browser="chrome"');
+			assert.include(html, 'data-browser="firefox"');
+		});
+
+		it('Should escape titles and errors', function() {
+			assert.include(html, 'should &lt;log&gt; in');
+			assert.include(html, 'expected &quot;true&quot;');
+			assert.notInclude(html, '<log>');
+		});
+
+		it('Should offer a browser filter', function() {
+			assert.include(html, '<option value="chrome">chrome</option>');
+			assert.include(html, '<option value="firefox">firefox</option>');
+		});
+	});
+
+	describe('renderSidecar()', function() {
+		const renderSidecar = require('../../lib/helpers/render-sidecar.js');
+
+		const metadata = {
+			originalName: 'ERROR_chrome_1.png',
+			path: 'login-should-log-in.png',
+			spec: 'test/login.js',
+			suites: ['Login', 'with password'],
+			title: 'should log in',
+			cid: '0-0',
+			capabilities: { browserName: 'chrome' },
+			error: { message: 'expected true', stack: 'Error: expected true\n    at Context' },
+			timestamp: '2018-02-19T10:00:00.000Z',
+			commands: [
+				{ method: 'POST', path: '/session/1/element', data: { using: 'css selector' } },
+				{ method: 'GET', path: '/session/1/url', data: {} }
+			]
+		};
+
+		it('Should render json', function() {
+			assert.deepEqual(JSON.parse(renderSidecar(metadata, 'json')), metadata);
+		});
+
+		it('Should render readable text', function() {
+			const text = renderSidecar(metadata, 'txt');
+
+			assert.include(text, 'Suites: Login > with password');
+			assert.include(text, 'Error: expected true');
+			assert.include(text, 'Visual diff: none');
+			assert.include(text, 'Stack:\nError: expected true\n    at Context');
+			assert.include(text, '  POST /session/1/element {"using":"css selector"}\n  GET /session/1/url');
+		});
+	});
+
+	describe('pngText', function() {
+		const pngText = require('../../lib/helpers/png-text.js');
+
+		// 1x1 pixel PNG
+		const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+		it('Should calculate the CRC32 of PNG chunks', function() {
+			assert.equal(pngText.crc32(Buffer.from('IEND', 'latin1')), 0xae426082);
+		});
+
+		it('Should write and read Latin-1 and unicode texts', function() {
+			const texts = { 'errorshot:title': 'Über uns lädt', 'errorshot:spec': 'ログイン' };
+			const result = pngText.writeTextChunks(png, texts);
+
+			assert.deepEqual(pngText.readTextChunks(result), texts);
+			assert.include(result.toString('latin1'), 'tEXterrorshot:title');
+			assert.include(result.toString('latin1'), 'iTXterrorshot:spec');
+		});
+
+		it('Should keep the image data untouched and end with IEND', function() {
+			const result = pngText.writeTextChunks(png, { foo: 'bar' });
+			const idat = png.slice(png.indexOf('IDAT') - 4, png.indexOf('IEND') - 4);
+
+			assert.isTrue(result.includes(idat));
+			assert.isTrue(result.slice(-12).equals(png.slice(-12)));
+		});
+
+		it('Should replace texts with the same keyword', function() {
+			const result = pngText.writeTextChunks(pngText.writeTextChunks(png, { foo: 'bar' }), { foo: 'baz' });
+
+			assert.deepEqual(pngText.readTextChunks(result), { foo: 'baz' });
+		});
+
+		it('Should throw for invalid PNGs and keywords', function() {
+			assert.throws(() => pngText.readTextChunks(Buffer.from([8, 6, 7, 5, 3, 0, 9])), /Not a PNG file/);
+			assert.throws(() => pngText.writeTextChunks(png, { '': 'empty' }), /Invalid PNG text keyword/);
+		});
+	});
+
+	describe('pngImage', function() {
+		const zlib = require('zlib');
+		const pngImage = require('../../lib/helpers/png-image.js');
+		const pngText = require('../../lib/helpers/png-text.js');
+
+		// Build a PNG from its header fields and the filtered scanlines
+		const buildPng = (width, height, bitDepth, colorType, scanlines, chunks = []) => {
+			const header = Buffer.alloc(13);
+
+			header.writeUInt32BE(width, 0);
+			header.writeUInt32BE(height, 4);
+			header[8] = bitDepth;
+			header[9] = colorType;
+
+			return Buffer.concat([
+				Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+				pngText.buildChunk('IHDR', header)
+			].concat(chunks).concat([
+				pngText.buildChunk('IDAT', zlib.deflateSync(Buffer.from(scanlines))),
+				pngText.buildChunk('IEND', Buffer.alloc(0))
+			]));
+		};
+
+		it('Should decode truecolor with alpha', function() {
+			const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+			assert.deepEqual(pngImage.decodePng(png), { width: 1, height: 1, data: Buffer.from([0, 255, 0, 127]) });
+		});
+
+		it('Should reverse every scanline filter', function() {
+			// 2x4 truecolor, filtered with Sub, Up, Average and Paeth
+			const png = buildPng(2, 4, 8, 2, [
+				1, 10, 20, 30, 5, 5, 5,
+				2, 1, 1, 1, 1, 1, 1,
+				3, 11, 21, 31, 6, 6, 6,
+				4, 0, 0, 0, 0, 0, 0
+			]);
+
+			assert.deepEqual(Array.from(pngImage.decodePng(png).data), [
+				10, 20, 30, 255, 15, 25, 35, 255,
+				11, 21, 31, 255, 16, 26, 36, 255,
+				16, 31, 46, 255, 22, 34, 47, 255,
+				16, 31, 46, 255, 22, 34, 47, 255
+			]);
+		});
+
+		it('Should decode indexed colors with transparency', function() {
+			const png = buildPng(3, 1, 2, 3, [0, 0b00011000], [
+				pngText.buildChunk('PLTE', Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255])),
+				pngText.buildChunk('tRNS', Buffer.from([0]))
+			]);
+
+			assert.deepEqual(Array.from(pngImage.decodePng(png).data), [255, 0, 0, 0, 0, 255, 0, 255, 0, 0, 255, 255]);
+		});
+
+		it('Should decode 16 bit grayscale', function() {
+			const png = buildPng(1, 1, 16, 0, [0, 0x80, 0xff]);
+
+			assert.deepEqual(Array.from(pngImage.decodePng(png).data), [128, 128, 128, 255]);
+		});
+
+		it('Should encode what it decodes', function() {
+			const image = { width: 2, height: 1, data: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]) };
+
+			assert.deepEqual(pngImage.decodePng(pngImage.encodePng(image)), image);
+		});
+
+		it('Should throw for unsupported PNGs', function() {
+			assert.throws(() => pngImage.decodePng(buildPng(1, 1, 4, 0, [0, 0])), /Unsupported PNG with color type 0 and bit depth 4/);
+			assert.throws(() => pngImage.decodePng(buildPng(1, 1, 8, 2, [5, 0, 0, 0])), /Unknown PNG filter type 5/);
+		});
+	});
+
+	describe('diffImages()', function() {
+		const diffImages = require('../../lib/helpers/diff-images.js');
+
+		const image = (width, height, pixels) => ({ width: width, height: height, data: Buffer.from([].concat.apply([], pixels)) });
+		const white = [255, 255, 255, 255];
+		const black = [0, 0, 0, 255];
+
+		it('Should find no mismatch in identical images', function() {
+			const result = diffImages(image(2, 1, [white, black]), image(2, 1, [white, black]));
+
+			assert.equal(result.mismatch, 0);
+			assert.deepEqual(Array.from(result.image.data), [255, 255, 255, 255, 230, 230, 230, 255]);
+		});
+
+		it('Should highlight differing pixels in red', function() {
+			const result = diffImages(image(2, 2, [white, black, white, white]), image(2, 2, [white, white, white, white]));
+
+			assert.equal(result.mismatch, 25);
+			assert.deepEqual(Array.from(result.image.data.slice(4, 8)), [255, 0, 0, 255]);
+		});
+
+		it('Should ignore differences within the threshold', function() {
+			const result = diffImages(image(1, 1, [[250, 250, 250, 255]]), image(1, 1, [white]), { threshold: 0.05 });
+
+			assert.equal(result.mismatch, 0);
+			assert.equal(diffImages(image(1, 1, [[250, 250, 250, 255]]), image(1, 1, [white]), { threshold: 0 }).mismatch, 100);
+		});
+
+		it('Should count pixels outside of the smaller image as mismatch', function() {
+			const result = diffImages(image(2, 1, [white, white]), image(1, 1, [white]));
+
+			assert.equal(result.mismatch, 50);
+			assert.equal(result.image.width, 2);
+		});
+	});
+
+	describe('moveFile()', function() {
+		const fs = require('fs');
+		const path = require('path');
+		const moveFile = require('../../lib/helpers/move-file.js');
+		const useTmpDir = require('../helpers/tmp-dir.js');
+
+		const renameOriginal = fs.rename;
+		let tmpDir;
+
+		// Let the next renames fail with the given error codes before calling the real implementation
+		const failRenames = codes => {
+			fs.rename = function(from, to, cb) {
+				if (!codes.length) {
+					return renameOriginal.apply(fs, arguments);
+				}
+
+				const err = new Error('mocked');
+				err.code = codes.shift();
+				setImmediate(() => cb(err));
+			};
+		};
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+			fs.writeFileSync(path.join(tmpDir, 'old.png'), 'png');
+		});
+
+		afterEach(function() {
+			fs.rename = renameOriginal;
+		});
+
+		it('Should retry locked files', function(done) {
+			failRenames(['EBUSY', 'EPERM']);
+
+			moveFile(path.join(tmpDir, 'old.png'), path.join(tmpDir, 'new.png'), { retries: 2, delay: 1 }, err => {
+				assert.isNull(err);
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'new.png')));
+				done();
+			});
+		});
+
+		it('Should give up after the last retry', function(done) {
+			failRenames(['EBUSY', 'EBUSY', 'EBUSY']);
+
+			moveFile(path.join(tmpDir, 'old.png'), path.join(tmpDir, 'new.png'), { retries: 2, delay: 1 }, err => {
+				assert.equal(err.code, 'EBUSY');
+				assert.isTrue(fs.existsSync(path.join(tmpDir, 'old.png')));
+				done();
+			});
+		});
+
+		it('Should copy and unlink across devices', function(done) {
+			failRenames(['EXDEV']);
+
+			moveFile(path.join(tmpDir, 'old.png'), path.join(tmpDir, 'new.png'), { retries: 2, delay: 1 }, err => {
+				assert.isNull(err);
+				assert.isFalse(fs.existsSync(path.join(tmpDir, 'old.png')));
+				assert.equal(fs.readFileSync(path.join(tmpDir, 'new.png'), 'utf8'), 'png');
+				done();
+			});
+		});
+	});
+
+	describe('lockFile()', function() {
+		const fs = require('fs');
+		const path = require('path');
+		const lockFile = require('../../lib/helpers/lock-file.js');
+		const useTmpDir = require('../helpers/tmp-dir.js');
+
+		let tmpDir;
+		let lockPath;
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+			lockPath = path.join(tmpDir, '.errorshot.lock');
+		});
+
+		it('Should hold the lock file until it is released', function() {
+			const release = lockFile(lockPath);
+
+			assert.isTrue(fs.existsSync(lockPath));
+			release();
+			assert.isFalse(fs.existsSync(lockPath));
+		});
+
+		it('Should wait for the lock of another process and take it over once stale', function() {
+			fs.writeFileSync(lockPath, '');
+
+			// The age is taken from the mtime, which may lag behind the clock by a few milliseconds
+			const created = fs.statSync(lockPath).mtime.getTime();
+
+			lockFile(lockPath, { staleAfter: 50, retryDelay: 5 })();
+
+			assert.isAtLeast(Date.now() - created, 50);
+		});
+
+		it('Should take over a stale lock right away', function() {
+			const time = new Date(Date.now() - 60000);
+
+			fs.writeFileSync(lockPath, '');
+			fs.utimesSync(lockPath, time, time);
+
+			const started = Date.now();
+
+			lockFile(lockPath)();
+
+			assert.isBelow(Date.now() - started, 1000);
+		});
+
+		it('Should not remove the lock file once another process has taken it over', function() {
+			const release = lockFile(lockPath);
+
+			fs.unlinkSync(lockPath);
+			fs.writeFileSync(lockPath, 'other');
+			release();
+
+			assert.equal(fs.readFileSync(lockPath, 'utf8'), 'other');
+		});
+
+		it('Should throw if the lock file can\'t be created', function() {
+			assert.throws(() => lockFile(path.join(tmpDir, 'missing', '.errorshot.lock')), /ENOENT/);
+		});
+	});
+
+	describe('getProcessStartTime()', function() {
+		const getProcessStartTime = require('../../lib/helpers/get-process-start-time.js');
+
+		it('Should tell the same start time for the same process', function() {
+			if (process.platform === 'win32') {
+				this.skip();
+			}
+
+			assert.isString(getProcessStartTime(process.pid));
+			assert.equal(getProcessStartTime(process.pid), getProcessStartTime(process.pid));
+		});
+
+		it('Should return null for a process that doesn\'t exist', function() {
+			assert.isNull(getProcessStartTime(999999999));
+		});
+	});
+
+	describe('globToRegExp()', function() {
+		const globToRegExp = require('../../lib/helpers/glob-to-regexp.js');
+
+		const tests = [
+			{ given: ['test/specs/smoke/**', 'test/specs/smoke/login.js'], expected: true, description: `Should match any depth with '**'` },
+			{ given: ['**/smoke/*.js', 'smoke/login.js'], expected: true, description: `Should match no directory at all with '**/'` },
+			{ given: ['test/*.js', 'test/specs/login.js'], expected: false, description: `Should not cross directories with '*'` },
+			{ given: ['test/login?.js', 'test/login2.js'], expected: true, description: `Should match a single character with '?'` },
+			{ given: ['test/{login,logout}.js', 'test/logout.js'], expected: true, description: 'Should match alternatives' },
+			{ given: ['test/login.js', 'test/loginXjs'], expected: false, description: 'Should escape other characters' }
+		];
+
+		tests.forEach(function(test) {
+			it(test.description, function() {
+				assert.equal(globToRegExp(test.given[0]).test(test.given[1]), test.expected);
+			});
+		});
 	});
 });
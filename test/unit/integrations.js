@@ -0,0 +1,168 @@
+// Require modules
+const assert = require('chai').assert;
+const fs = require('fs');
+const path = require('path');
+
+const useTmpDir = require('../helpers/tmp-dir.js');
+
+const fixtures = path.join(__dirname, '..', 'fixtures');
+
+describe('integrations ::', function () {
+	describe('attachToJunitReports()', function() {
+		const attachToJunitReports = require('../../lib/integrations/junit.js');
+
+		let tmpDir;
+
+		const readReport = filename => fs.readFileSync(path.join(tmpDir, filename), 'utf8');
+		const getTestcase = (xml, suite, name) => {
+			const suiteXml = xml.slice(xml.indexOf(`<testsuite name="${suite}"`));
+
+			return suiteXml.slice(suiteXml.indexOf(`name="${name}"`), suiteXml.indexOf('</testcase>', suiteXml.indexOf(`name="${name}"`)));
+		};
+
+		const errorshots = [
+			{ cid: '0-0', suites: ['Login'], title: 'should log in', filepath: '/shots/chrome/login-should-log-in.png' },
+			{ cid: '0-0', suites: ['Login'], title: 'should log out', filepath: '/shots/chrome/login-should-log-out.png' },
+			{ cid: '0-0', suites: ['Shop', 'Checkout'], title: 'should log in', filepath: '/shots/chrome/checkout & pay.png' },
+			{ cid: '0-1', suites: ['Login'], title: 'should log in', filepath: '/shots/firefox/login-should-log-in.png' }
+		];
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			fs.readdirSync(path.join(fixtures, 'junit')).forEach(filename => {
+				fs.copyFileSync(path.join(fixtures, 'junit', filename), path.join(tmpDir, filename));
+			});
+		});
+
+		it('Should add a system-out with the attachment to failing testcases', function() {
+			attachToJunitReports(tmpDir, errorshots);
+
+			assert.include(
+				getTestcase(readReport('WDIO.xunit.chrome.0-0.xml'), 'Login', 'should_log_in'),
+				'</failure>\n      <system-out>[[ATTACHMENT|/shots/chrome/login-should-log-in.png]]</system-out>\n    '
+			);
+		});
+
+		it('Should append the attachment to an existing system-out', function() {
+			attachToJunitReports(tmpDir, errorshots);
+
+			const xml = readReport('WDIO.xunit.chrome.0-0.xml');
+
+			assert.include(
+				getTestcase(xml, 'Login', 'should_log_out'),
+				'<system-out><![CDATA[COMMAND: POST /session/1/url\n[[ATTACHMENT|/shots/chrome/login-should-log-out.png]]\n]]></system-out>'
+			);
+			assert.include(
+				getTestcase(xml, 'Checkout', 'should_log_in'),
+				'<system-out>step &amp; retry\n[[ATTACHMENT|/shots/chrome/checkout &amp; pay.png]]\n</system-out>'
+			);
+		});
+
+		it('Should match testcases by suite and title', function() {
+			attachToJunitReports(tmpDir, errorshots);
+
+			const xml = readReport('WDIO.xunit.chrome.0-0.xml');
+
+			assert.notInclude(getTestcase(xml, 'Login', 'should_log_in'), 'checkout');
+			assert.notInclude(getTestcase(xml, 'Checkout', 'should_log_in'), 'login-should-log-in');
+			assert.include(xml, '<testcase classname="chrome.Login" name="should_show_the_form" time="1.4"/>');
+		});
+
+		it('Should only attach the errorshots of the runner a report belongs to', function() {
+			attachToJunitReports(tmpDir, errorshots);
+
+			assert.notInclude(readReport('WDIO.xunit.chrome.0-0.xml'), '/shots/firefox/');
+			assert.include(readReport('WDIO.xunit.firefox.0-1.xml'), '[[ATTACHMENT|/shots/firefox/login-should-log-in.png]]');
+			assert.notInclude(readReport('WDIO.xunit.firefox.0-1.xml'), '/shots/chrome/');
+		});
+
+		it('Should not add attachments twice', function() {
+			assert.lengthOf(attachToJunitReports(tmpDir, errorshots), 2);
+
+			const xml = readReport('WDIO.xunit.chrome.0-0.xml');
+
+			assert.lengthOf(attachToJunitReports(tmpDir, errorshots), 0);
+			assert.equal(readReport('WDIO.xunit.chrome.0-0.xml'), xml);
+		});
+
+		it('Should return nothing for a missing directory', function() {
+			assert.deepEqual(attachToJunitReports(path.join(tmpDir, 'missing'), errorshots), []);
+		});
+	});
+
+	describe('attachToAllureResults()', function() {
+		const attachToAllureResults = require('../../lib/integrations/allure.js');
+
+		let tmpDir;
+		let resultsDir;
+		let errorshots;
+
+		const readResult = uuid => JSON.parse(fs.readFileSync(path.join(resultsDir, `${uuid}-result.json`), 'utf8'));
+
+		useTmpDir(dirpath => {
+			tmpDir = dirpath;
+
+			resultsDir = path.join(tmpDir, 'allure-results');
+			fs.mkdirSync(resultsDir);
+			fs.mkdirSync(path.join(tmpDir, 'chrome'));
+
+			fs.readdirSync(path.join(fixtures, 'allure')).forEach(filename => {
+				fs.copyFileSync(path.join(fixtures, 'allure', filename), path.join(resultsDir, filename));
+			});
+
+			errorshots = [
+				{ cid: '0-0', suites: ['Login'], title: 'should log in', filepath: path.join(tmpDir, 'chrome', 'login-should-log-in.png') },
+				{ cid: '0-1', suites: ['Login'], title: 'should log in', filepath: path.join(tmpDir, 'chrome', 'login-should-log-in-firefox.png') },
+				{ cid: '0-0', suites: ['Shop', 'Checkout'], title: 'should log in', filepath: path.join(tmpDir, 'chrome', 'checkout-should-log-in.png') }
+			];
+			errorshots.forEach(errorshot => fs.writeFileSync(errorshot.filepath, errorshot.filepath));
+		});
+
+		it('Should copy the screenshot and add it as attachment of the matching failed result', function() {
+			const updated = attachToAllureResults(resultsDir, errorshots);
+			const attachment = readResult('1c0e2b9a-login').attachments[2];
+
+			assert.sameMembers(updated, [
+				path.join(resultsDir, '1c0e2b9a-login-result.json'),
+				path.join(resultsDir, '8a9b0c1d-checkout-result.json')
+			]);
+			assert.equal(attachment.name, 'login-should-log-in.png');
+			assert.equal(attachment.type, 'image/png');
+			assert.match(attachment.source, /^[0-9a-f]{40}-attachment\.png$/);
+			assert.equal(fs.readFileSync(path.join(resultsDir, attachment.source), 'utf8'), errorshots[0].filepath);
+		});
+
+		it('Should match results by suite, title and thread', function() {
+			attachToAllureResults(resultsDir, errorshots);
+
+			assert.deepEqual(readResult('1c0e2b9a-login').attachments.map(attachment => attachment.name), [
+				'Screenshot', 'Browser log', 'login-should-log-in.png'
+			]);
+			assert.deepEqual(readResult('8a9b0c1d-checkout').attachments.map(attachment => attachment.name), ['checkout-should-log-in.png']);
+			assert.deepEqual(readResult('4d5e6f70-form').attachments, []);
+		});
+
+		it(`Should replace the screenshots Allure attached itself with 'replaceScreenshots'`, function() {
+			attachToAllureResults(resultsDir, errorshots, { replaceScreenshots: true });
+
+			const result = readResult('1c0e2b9a-login');
+
+			assert.deepEqual(result.attachments.map(attachment => attachment.name), ['Browser log', 'login-should-log-in.png']);
+			assert.deepEqual(result.steps[0].attachments, []);
+		});
+
+		it('Should not add attachments twice', function() {
+			attachToAllureResults(resultsDir, errorshots);
+
+			const result = readResult('1c0e2b9a-login');
+
+			assert.deepEqual(attachToAllureResults(resultsDir, errorshots), []);
+			assert.deepEqual(readResult('1c0e2b9a-login'), result);
+		});
+
+		it('Should return nothing for a missing directory', function() {
+			assert.deepEqual(attachToAllureResults(path.join(tmpDir, 'missing'), errorshots), []);
+		});
+	});
+});